@@ -0,0 +1,284 @@
+/*
+Filename: background.js
+Purpose:
+- Background service worker for the ChatGPT UI Trimmer extension.
+- Forwards keyboard shortcut commands (chrome.commands) to the content script of the tab they were pressed in.
+- Keeps the toolbar badge of each tab updated with the number of hidden turns.
+- Saves the per-chat settings overrides for popup.js and content.js, so the overrides map has one writer.
+
+Inputs:
+- chrome.commands.onCommand events (shortcuts declared in manifest.json, remappable on the browser's shortcuts page)
+- TRIMMER_STATUS_UPDATE messages from content.js
+- chrome.tabs.onUpdated events (tab navigation)
+- TRIMMER_SAVE_CONVERSATION_OVERRIDE messages from popup.js and content.js (conversation ID, override or null)
+
+Outputs:
+- TRIMMER_COMMAND messages to content.js
+- Per-tab toolbar badge text and color
+- chrome.storage.local conversationOverrides (object keyed by conversation ID, bounded to the most recently saved)
+
+Dependencies:
+- manifest.json registers this as background service worker and declares the commands
+- content.js runs the commands
+- popup.js and content.js read the conversationOverrides this file writes
+
+Processes:
+- Resolve the target tab
+- Forward the command name to the content script
+- Turn status updates into badge text (hidden count, paused, no turns)
+- Clear the badge on tabs that are not a supported chat site
+- Write conversation overrides one after another, dropping the least recently saved beyond the limit
+
+AI-Instructions:
+- When editing this file, always output drop-in code (no diff markers, no +/- lines).
+- Always include the filename and full updated declarations in the response.
+- Keep this code as simple as possible. Comment everything perfectly understandable
+- Prefer Config-Class values over literals; ask if a new constant is needed.
+*/
+
+"use strict";
+
+/**
+ * Pages the content script runs on. Must match content_scripts.matches in manifest.json
+ * and the hosts of SITE_ADAPTERS in content.js.
+ */
+const SUPPORTED_ORIGINS = Object.freeze([
+  "https://chatgpt.com",
+  "https://chat.openai.com",
+  "https://claude.ai",
+  "https://gemini.google.com"
+]);
+
+const BADGE = Object.freeze({
+  suspendedText: "OFF",
+  noTurnsText: "-",
+  maxCountText: "999+",
+  maxCount: 999,
+  hiddenColor: "#3b82f6",
+  inactiveColor: "#6b7280"
+});
+
+/**
+ * Storage keys of the per-chat settings. Must match STORAGE_KEYS.conversationOverrides in content.js and popup.js.
+ */
+const STORAGE_KEYS = Object.freeze({
+  conversationOverrides: "conversationOverrides"
+});
+
+const LIMITS = Object.freeze({
+  // Conversations that keep their overrides; the least recently saved are dropped.
+  maxConversationOverrides: 500
+});
+
+/**
+ * Last queued write of the overrides map. Each write waits for the one before, so two saves that arrive together
+ * cannot drop each other's entry.
+ * @type {Promise<void>}
+ */
+let conversationOverrideWrite = Promise.resolve();
+
+/**
+ * Get the active tab in the current window.
+ * @returns {Promise<chrome.tabs.Tab | null>}
+ */
+function getActiveTab() {
+  return new Promise((resolve) => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      resolve(tabs[0] || null);
+    });
+  });
+}
+
+/**
+ * Sends a message to the content script in one tab.
+ * Tabs without the content script (not a supported chat site) are ignored.
+ * @param {number} tabId
+ * @param {object} message
+ * @returns {Promise<any>}
+ */
+function sendMessageToTab(tabId, message) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve(null);
+        return;
+      }
+
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Forwards a keyboard shortcut command to the content script.
+ * @param {string} command
+ * @param {chrome.tabs.Tab | undefined} tab Tab the shortcut was pressed in, if the browser provides it.
+ */
+async function forwardCommand(command, tab) {
+  const targetTab = tab && typeof tab.id === "number" ? tab : await getActiveTab();
+
+  if (!targetTab || typeof targetTab.id !== "number") {
+    return;
+  }
+
+  const response = await sendMessageToTab(targetTab.id, {
+    type: "TRIMMER_COMMAND",
+    command
+  });
+
+  if (response && response.ok !== true) {
+    console.error("[ChatGPT UI Trimmer] command failed:", command, response.error);
+  }
+}
+
+/**
+ * Returns whether a URL belongs to a page the content script runs on.
+ * @param {string|undefined} url
+ * @returns {boolean}
+ */
+function isSupportedUrl(url) {
+  if (!url) {
+    return false;
+  }
+
+  try {
+    return SUPPORTED_ORIGINS.includes(new URL(url).origin);
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Returns badge text and color for a status reported by the content script.
+ * @param {{hiddenCount:number, totalCount:number, suspended:boolean}} status
+ * @returns {{text:string, color:string}}
+ */
+function getBadgeForStatus(status) {
+  if (status.suspended) {
+    return { text: BADGE.suspendedText, color: BADGE.inactiveColor };
+  }
+
+  if (!status.totalCount) {
+    return { text: BADGE.noTurnsText, color: BADGE.inactiveColor };
+  }
+
+  if (!status.hiddenCount) {
+    return { text: "", color: BADGE.hiddenColor };
+  }
+
+  const text = status.hiddenCount > BADGE.maxCount ? BADGE.maxCountText : String(status.hiddenCount);
+  return { text, color: BADGE.hiddenColor };
+}
+
+/**
+ * Updates the toolbar badge of one tab.
+ * @param {number} tabId
+ * @param {{hiddenCount:number, totalCount:number, suspended:boolean}} status
+ */
+async function updateBadge(tabId, status) {
+  const badge = getBadgeForStatus(status);
+
+  await chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+  await chrome.action.setBadgeText({ tabId, text: badge.text });
+}
+
+/**
+ * Removes the toolbar badge of one tab.
+ * @param {number} tabId
+ */
+async function clearBadge(tabId) {
+  await chrome.action.setBadgeText({ tabId, text: "" });
+}
+
+/**
+ * Saves (or with null removes) the overrides of one conversation in the overrides map.
+ * Only the LIMITS.maxConversationOverrides most recently saved conversations are kept.
+ * @param {string} conversationId
+ * @param {object|null} override
+ * @returns {Promise<void>}
+ */
+async function writeConversationOverride(conversationId, override) {
+  const result = await chrome.storage.local.get({ [STORAGE_KEYS.conversationOverrides]: {} });
+  const stored = result[STORAGE_KEYS.conversationOverrides];
+  const overrides = stored && typeof stored === "object" ? stored : {};
+
+  if (override) {
+    overrides[conversationId] = { ...override, updatedAt: Date.now() };
+  } else {
+    delete overrides[conversationId];
+  }
+
+  const staleIds = Object.keys(overrides)
+    .sort((a, b) => (Number(overrides[b]?.updatedAt) || 0) - (Number(overrides[a]?.updatedAt) || 0))
+    .slice(LIMITS.maxConversationOverrides);
+
+  for (const id of staleIds) {
+    delete overrides[id];
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.conversationOverrides]: overrides });
+}
+
+/**
+ * Queues writeConversationOverride behind the writes before it.
+ * @param {string} conversationId
+ * @param {object|null} override
+ * @returns {Promise<void>}
+ */
+function queueConversationOverrideWrite(conversationId, override) {
+  const write = conversationOverrideWrite.then(() => writeConversationOverride(conversationId, override));
+  // A failed write is reported to its sender and must not block the next one.
+  conversationOverrideWrite = write.catch(() => {});
+  return write;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || typeof message !== "object") {
+    return;
+  }
+
+  if (message.type === "TRIMMER_SAVE_CONVERSATION_OVERRIDE") {
+    const override = message.override && typeof message.override === "object" ? message.override : null;
+
+    if (typeof message.conversationId !== "string" || !message.conversationId) {
+      sendResponse({ ok: false, error: "No conversation ID to save the settings for." });
+      return;
+    }
+
+    queueConversationOverrideWrite(message.conversationId, override)
+      .then(() => sendResponse({ ok: true }))
+      .catch((error) => sendResponse({ ok: false, error: String(error) }));
+
+    return true;
+  }
+
+  if (message.type !== "TRIMMER_STATUS_UPDATE") {
+    return;
+  }
+
+  const tabId = sender.tab?.id;
+  if (typeof tabId !== "number") {
+    return;
+  }
+
+  updateBadge(tabId, message).catch((error) => {
+    // The tab may have been closed in the meantime.
+    console.debug("[ChatGPT UI Trimmer] updateBadge failed:", error);
+  });
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url || isSupportedUrl(changeInfo.url)) {
+    return;
+  }
+
+  clearBadge(tabId).catch((error) => {
+    console.debug("[ChatGPT UI Trimmer] clearBadge failed:", error);
+  });
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  forwardCommand(command, tab).catch((error) => {
+    console.error("[ChatGPT UI Trimmer] forwardCommand failed:", error);
+  });
+});
\ No newline at end of file
@@ -1,35 +1,103 @@
 /*
 Filename: content.js
 Purpose:
-- Runs on ChatGPT pages and trims older conversation turns from the visible UI.
+- Runs on ChatGPT pages (and other supported chat UIs) and trims older conversation turns from the visible UI.
+- Reads all site-specific DOM knowledge from a site adapter chosen by hostname (ChatGPT, Claude, Gemini).
+- Applies user selector overrides (options page) on top of the adapter and tests selectors on request.
+- Runs a selector diagnostics routine for the popup (which strategy matched, counts, missing elements).
 - Keeps only the last N turns visible (N configurable via popup).
-- Adds a small status banner showing how many turns are hidden.
+- Optionally chooses N automatically: as many recent turns as fit into a budget of page elements, never fewer than
+  a configured minimum. The banner and popup show the chosen N and why.
+- Optionally keeps the first N turns visible as well, with an inline "turns hidden" separator in between.
+- Resolves effective settings per conversation (global settings plus optional per-chat overrides).
+- Adds a small status banner showing how many turns are hidden, with controls to page back through older turns.
 - Reapplies automatically when the page updates (new messages, React re-renders).
-- Optionally enables a minimal UI mode (hide sidebar and some top actions).
+  Only the thread root is observed, settings are cached in memory and only new or changed turns are reprocessed.
+- Records apply timing (count, average / max duration) for the popup's diagnostic report and the DevTools performance panel.
+- Can be suspended per tab ("Show all"): no trimming or collapsing until resumed or another conversation is opened.
+- Runs keyboard shortcut commands forwarded by background.js.
+- Reports trim status to background.js after each apply (toolbar badge).
+- Optionally hides page parts chosen one by one (sidebar, share button, model picker, disclaimer, upsell banners, ...)
+  plus user-defined CSS selectors (minimal UI).
 - Optionally makes the user's own messages collapsible.
 - Optionally makes code blocks collapsible.
+- Adds a toolbar to code blocks: collapse toggle, Download (file extension from the code language), line numbers
+  and word wrap. Copies all code blocks of the conversation (hidden turns included) or downloads them as a zip file.
+- Optionally collapses content types one by one (images, tool output, reasoning, attachments, citations), each element
+  behind its own "Show ..." button. The selectors of each type are defined per site in CONTENT_TYPE_SELECTORS.
+- Optionally clamps long assistant messages to a few lines with a fade-out and a "Read more / Show less" toggle;
+  the latest answer stays expanded unless the user clamps it.
+- Shows a compact preview on the toggle of a collapsed block (first line of a message; language, line count
+  and first line of code). The code header with its copy button stays visible.
+- Decides with the auto-collapse rules (options page) whether a message or code block starts collapsed:
+  length / line thresholds, message regex rules and per-language code rules.
+- Detects a response that is still being generated: the turn window stays put, code blocks of the
+  in-progress turn stay expanded (unless collapseCodeWhileStreaming) and one full apply runs when it finishes.
+- Optionally detaches the content of hidden turns from the page (a placeholder stays in each turn) to reduce DOM size.
+  detach-guard.js puts the content back before the site's own code (React) changes the turn.
+- Adds a pin button to each turn; pinned turns stay visible regardless of N.
+- Optionally shows a floating outline panel listing all turns (including hidden ones) to jump to any turn.
+- Provides an in-page search over all turns, including hidden turns and collapsed messages/code blocks.
+- Optionally adds keyboard navigation: next/previous turn, next/previous user message, next/previous code block,
+  and a key to toggle the focused item, with a visible focus ring.
+- Reports the state of every toggle (aria-expanded, aria-pressed). aria-controls only points at regions the extension
+  creates (the outline list), so no IDs are written onto the site's elements.
+- Exports the conversation (all, visible or a range of turns, including hidden ones) as Markdown, JSON or HTML.
+- Persists collapse toggles and pinned turns per conversation in chrome.storage.local (bounded, least recently used are pruned).
 
 Inputs:
 - chrome.storage.sync settings:
   - keepLastN (number)
-  - minimalUi (boolean)
+  - keepFirstN (number)
+  - autoKeepLastN (boolean)
+  - autoElementBudget (number of page elements)
+  - autoMinKeepLastN (number)
+  - hiddenUiParts (array of UI_PARTS names; null = derived from the former minimalUi boolean)
+  - customHiddenSelectors (array of CSS selectors)
   - collapseOwnMessages (boolean)
   - collapseCodeBlocks (boolean)
+  - showCodeToolbar (boolean)
+  - collapseAssistantMessages (boolean)
+  - assistantCollapseHeight (number, pixels)
+  - collapsedContentTypes (array of CONTENT_TYPES names)
+  - detachHiddenTurns (boolean)
+  - showOutline (boolean)
+  - collapseCodeWhileStreaming (boolean)
+  - keyboardNavigation (boolean)
+  - selectorOverrides (object keyed by site adapter ID, see options.js)
+  - collapseRules (object, see DEFAULT_COLLAPSE_RULES)
+- chrome.storage.local per-chat settings:
+  - conversationOverrides (object keyed by conversation ID; each entry has updatedAt and the OVERRIDABLE_SETTING_KEYS:
+    keepLastN, keepFirstN, autoKeepLastN, collapseOwnMessages, collapseCodeBlocks, collapseAssistantMessages,
+    collapsedContentTypes)
+- chrome.storage.local collapse state:
+  - collapseState:<conversationId> (object with updatedAt, messages, codeBlocks, assistantMessages, contentBlocks,
+    pinnedTurns)
+  - collapseStateIndex (object: conversation ID -> time of last use, used to prune old collapse states)
 
 Outputs:
-- DOM changes on the ChatGPT page (hidden older turns, banner, minimal UI)
+- DOM changes on the chat page (hidden older turns, banner, minimal UI)
 - DOM changes for collapsible user messages and code blocks
+- TRIMMER_STATUS_UPDATE messages to background.js
+- TRIMMER_SAVE_CONVERSATION_OVERRIDE messages to background.js (keyboard shortcuts changing a chat's N)
+- Downloaded export files (Markdown, JSON, HTML), code files and zip files of all code blocks
+- Text of all code blocks for the popup's "Copy all code blocks"
 
 Dependencies:
 - manifest.json registers this as content script
 - popup.js writes settings and sends commands
+- options.js writes selector overrides and sends selector tests
+- background.js forwards keyboard shortcut commands and writes the per-chat overrides
+- detach-guard.js (page world) sends cgpt-trimmer-reattach events for turns with detached content
 
 Processes:
-- Find conversation turns using robust selectors
+- Pick the site adapter for the current hostname
+- Find conversation turns using the adapter's selectors
 - Hide all but the last N turns
-- Add collapse toggles for user messages and code blocks
-- Watch DOM changes with MutationObserver
-- Respond to popup commands
+- Add collapse toggles for user messages and code blocks, and the code toolbar
+- Watch DOM changes of the thread root with MutationObserver (re-targeted on navigation and when the root is replaced)
+- Handle navigation keys while keyboard navigation is on and no text field has focus
+- Respond to popup commands (TRIMMER_APPLY carries the settings popup.js has saved)
 
 AI-Instructions:
 - When editing this file, always output drop-in code (no diff markers, no +/- lines).
@@ -41,16 +109,181 @@ AI-Instructions:
 (() => {
   "use strict";
 
+  /**
+   * Named page parts that can be hidden (minimal UI). Each site adapter has the selectors of the parts it shows
+   * in minimalUiTargets. Must match UI_PARTS in popup.js and MINIMAL_UI_TARGETS in options.js.
+   */
+  const UI_PARTS = Object.freeze([
+    "sidebar",
+    "shareButton",
+    "conversationOptions",
+    "skipLink",
+    "modelPicker",
+    "disclaimer",
+    "upsellBanners"
+  ]);
+
+  /**
+   * Parts hidden by the former single "Simplify UI" checkbox. Must match UI_PART_PRESETS.classic in popup.js.
+   */
+  const CLASSIC_UI_PARTS = Object.freeze(["sidebar", "shareButton", "conversationOptions", "skipLink"]);
+
   const DEFAULT_SETTINGS = Object.freeze({
     keepLastN: 6,
-    minimalUi: true,
+    keepFirstN: 0,
+    autoKeepLastN: false,
+    autoElementBudget: 20000,
+    autoMinKeepLastN: 2,
+    // null until the parts are chosen once; normalizeSettings then derives them from LEGACY_SETTINGS.minimalUi.
+    hiddenUiParts: null,
+    customHiddenSelectors: Object.freeze([]),
     collapseOwnMessages: true,
-    collapseCodeBlocks: true
+    collapseCodeBlocks: true,
+    showCodeToolbar: true,
+    collapseAssistantMessages: false,
+    assistantCollapseHeight: 600,
+    collapsedContentTypes: Object.freeze([]),
+    detachHiddenTurns: false,
+    showOutline: true,
+    collapseCodeWhileStreaming: false,
+    keyboardNavigation: false
+  });
+
+  /**
+   * @typedef {Object} TrimmerSettings
+   * @property {number} keepLastN
+   * @property {number} keepFirstN
+   * @property {boolean} autoKeepLastN
+   * @property {number} autoElementBudget
+   * @property {number} autoMinKeepLastN
+   * @property {string[]} hiddenUiParts
+   * @property {string[]} customHiddenSelectors
+   * @property {boolean} collapseOwnMessages
+   * @property {boolean} collapseCodeBlocks
+   * @property {boolean} showCodeToolbar
+   * @property {boolean} collapseAssistantMessages
+   * @property {number} assistantCollapseHeight
+   * @property {string[]} collapsedContentTypes
+   * @property {boolean} detachHiddenTurns
+   * @property {boolean} showOutline
+   * @property {boolean} collapseCodeWhileStreaming
+   * @property {boolean} keyboardNavigation
+   */
+
+  /**
+   * Auto-collapse rules, edited on the options page. They decide whether a message or code block without a
+   * remembered state starts collapsed. Must match DEFAULT_COLLAPSE_RULES in options.js.
+   * - messageMinChars / messageMinLines: collapse user messages only above this length (0 = no limit; both 0 = all)
+   * - messagePatterns: regular expressions (case-insensitive, multi-line); a matching message is always collapsed
+   * - codeMinLines: collapse code blocks only above this many lines (0 = all)
+   * - alwaysCollapseLanguages / neverCollapseLanguages: code languages that ignore codeMinLines
+   */
+  const DEFAULT_COLLAPSE_RULES = Object.freeze({
+    messageMinChars: 0,
+    messageMinLines: 0,
+    messagePatterns: Object.freeze([]),
+    codeMinLines: 0,
+    alwaysCollapseLanguages: Object.freeze([]),
+    neverCollapseLanguages: Object.freeze([])
+  });
+
+  /**
+   * Flags of the messagePatterns regular expressions. Must match REGEX_FLAGS in options.js.
+   */
+  const COLLAPSE_RULE_REGEX_FLAGS = "im";
+
+  /**
+   * Settings of earlier versions that are still read to migrate them. Must match LEGACY_SETTINGS in popup.js.
+   * - minimalUi: on/off switch replaced by hiddenUiParts (true = CLASSIC_UI_PARTS)
+   */
+  const LEGACY_SETTINGS = Object.freeze({
+    minimalUi: true
   });
 
   const LIMITS = Object.freeze({
     minKeepLastN: 1,
-    maxKeepLastN: 500
+    maxKeepLastN: 500,
+    minKeepFirstN: 0,
+    maxKeepFirstN: 500,
+    keepLastNStep: 2,
+    minAutoElementBudget: 1000,
+    maxAutoElementBudget: 1000000,
+    revealStep: 10,
+    outlinePreviewLength: 80,
+    collapsedPreviewLength: 120,
+    minAssistantCollapseHeight: 200,
+    maxAssistantCollapseHeight: 5000,
+    // Height of a clamped assistant message (a few lines) and of its fade-out at the bottom.
+    assistantClampHeight: 160,
+    assistantFadeHeight: 64,
+    maxStoredCollapseStates: 200,
+    collapseStateMaxAgeMs: 90 * 24 * 60 * 60 * 1000
+  });
+
+  /**
+   * Settings that can be overridden for a single conversation.
+   * Hidden page parts, detachHiddenTurns, showOutline, collapseCodeWhileStreaming, showCodeToolbar, keyboardNavigation,
+   * assistantCollapseHeight and the auto mode's budget and minimum stay global because they affect the page, not the chat.
+   */
+  const OVERRIDABLE_SETTING_KEYS = Object.freeze([
+    "keepLastN",
+    "keepFirstN",
+    "autoKeepLastN",
+    "collapseOwnMessages",
+    "collapseCodeBlocks",
+    "collapseAssistantMessages",
+    "collapsedContentTypes"
+  ]);
+
+  const STORAGE_KEYS = Object.freeze({
+    // chrome.storage.local: overrides of all conversations in one map, written by background.js.
+    // Must match STORAGE_KEYS.conversationOverrides in popup.js and background.js.
+    conversationOverrides: "conversationOverrides",
+    collapseStatePrefix: "collapseState:",
+    // chrome.storage.local: conversation ID -> last use of every stored collapse state, so pruning reads one small key
+    // instead of all of storage.
+    collapseStateIndex: "collapseStateIndex",
+    selectorOverrides: "selectorOverrides",
+    collapseRules: "collapseRules",
+    // window.sessionStorage (per tab): conversation ID for which trimming is suspended.
+    suspendedConversation: "cgpt-trimmer-suspended"
+  });
+
+  /**
+   * Keyboard shortcut commands forwarded by background.js.
+   * Must match the command names in manifest.json.
+   */
+  const COMMANDS = Object.freeze({
+    toggleTrimming: "toggle-trimming",
+    showAll: "show-all",
+    increaseKeepLastN: "increase-keep-last-n",
+    decreaseKeepLastN: "decrease-keep-last-n",
+    collapseAllMessages: "collapse-all-messages",
+    expandAllMessages: "expand-all-messages",
+    collapseAllCode: "collapse-all-code",
+    expandAllCode: "expand-all-code",
+    openSearch: "open-search"
+  });
+
+  /**
+   * Keys of the opt-in keyboard navigation and their actions. Keys are KeyboardEvent.code values, pressed with Alt
+   * (and Shift where the key says so), because single letters would collide with typing and the site's own shortcuts.
+   * event.code is used because Alt+letter produces other characters in event.key on macOS. The keys do nothing with
+   * Ctrl or Meta and while a text field has focus (see handleNavigationKey).
+   */
+  const NAVIGATION_KEYS = Object.freeze({
+    KeyJ: "nextTurn",
+    KeyK: "previousTurn",
+    KeyN: "nextUserMessage",
+    KeyP: "previousUserMessage",
+    KeyC: "nextCodeBlock",
+    "Shift+KeyC": "previousCodeBlock",
+    KeyO: "toggleFocused"
+  });
+
+  const SCOPES = Object.freeze({
+    global: "global",
+    conversation: "conversation"
   });
 
   const TIMING = Object.freeze({
@@ -58,651 +291,5572 @@ AI-Instructions:
     initialApplyMs: 0,
     loadApplyMs: 50,
     visibleApplyMs: 80,
-    storageApplyMs: 50
+    storageApplyMs: 50,
+    flashTurnMs: 1600,
+    searchDebounceMs: 150,
+    exportRevokeMs: 10000,
+    collapseStatePersistMs: 300
   });
 
+  /**
+   * Site adapters: everything the trimmer knows about the DOM of one chat UI.
+   * The adapter is chosen by hostname; trimming, collapsing, banner, outline, search and export are shared.
+   * - hosts: hostnames (subdomains included) the adapter is used for
+   * - conversationIdPattern: extracts the conversation ID from the URL path
+   * - selectors.turns: turn elements, tried in order until one matches
+   * - selectors.userRole / assistantRole: matched against a turn or its content to find the author
+   * - selectors.userMessage: the user's message inside a user turn ("Collapse my messages")
+   * - selectors.assistantMessage: the answer inside an assistant turn, without its action bar ("Clamp long answers")
+   * - selectors.messageContent: the message body inside a turn (outline previews)
+   * - selectors.codeBlocks, threadRoot (empty = none), mainRoot
+   * - selectors.streaming: present while a response is being generated (stop button, streaming marker; empty = never)
+   * - minimalUiTargets: page chrome that can be hidden, by UI_PARTS name (parts the site does not have are left out)
+   * - minimalUiRootCss: extra declarations for the <html> element while the sidebar is hidden
+   * Hosts must match content_scripts.matches in manifest.json, SITE_CONVERSATION_PATTERNS in popup.js
+   * and SUPPORTED_ORIGINS in background.js.
+   */
+  /**
+   * @typedef {Object} SiteAdapter
+   * @property {string} id
+   * @property {readonly string[]} hosts
+   * @property {string} assistantLabel
+   * @property {RegExp} conversationIdPattern
+   * @property {{turns:readonly string[], userRole:string, assistantRole:string, userMessage:string, assistantMessage:string, messageContent:string, codeBlocks:string, threadRoot:string, mainRoot:string, streaming:string}} selectors
+   * @property {Object<string, string>} minimalUiTargets
+   * @property {string} minimalUiRootCss
+   */
+
+  /** @type {readonly SiteAdapter[]} */
+  const SITE_ADAPTERS = Object.freeze([
+    Object.freeze({
+      id: "chatgpt",
+      hosts: Object.freeze(["chatgpt.com", "chat.openai.com"]),
+      assistantLabel: "ChatGPT",
+      conversationIdPattern: /\/c\/([A-Za-z0-9-]+)/,
+      selectors: Object.freeze({
+        turns: Object.freeze(['article[data-testid^="conversation-turn-"]', "article[data-turn-id][data-turn]"]),
+        userRole: '[data-message-author-role="user"]',
+        assistantRole: '[data-message-author-role="assistant"]',
+        userMessage: '[data-message-author-role="user"]',
+        assistantMessage: '[data-message-author-role="assistant"]',
+        messageContent: "[data-message-author-role]",
+        codeBlocks: "pre",
+        threadRoot: "#thread",
+        mainRoot: "main",
+        streaming: '[data-testid="stop-button"], .result-streaming'
+      }),
+      minimalUiTargets: Object.freeze({
+        sidebar: "#stage-slideover-sidebar",
+        shareButton: '[data-testid="share-chat-button"]',
+        conversationOptions: '[data-testid="conversation-options-button"]',
+        skipLink: "[data-skip-to-content]",
+        modelPicker: '[data-testid="model-switcher-dropdown-button"]',
+        disclaimer: "#thread-bottom-container .text-token-text-secondary",
+        upsellBanners: '[data-testid*="upsell"], [data-testid*="upgrade"]'
+      }),
+      // ChatGPT reserves room for the sidebar through this variable even when the sidebar is hidden.
+      minimalUiRootCss: "--sidebar-width: 0px !important;"
+    }),
+    Object.freeze({
+      id: "claude",
+      hosts: Object.freeze(["claude.ai"]),
+      assistantLabel: "Claude",
+      conversationIdPattern: /\/chat\/([A-Za-z0-9-]+)/,
+      selectors: Object.freeze({
+        turns: Object.freeze(["[data-test-render-count]"]),
+        userRole: '[data-testid="user-message"]',
+        assistantRole: ".font-claude-response, .font-claude-message",
+        userMessage: '[data-testid="user-message"]',
+        assistantMessage: ".font-claude-response, .font-claude-message",
+        messageContent: '[data-testid="user-message"], .font-claude-response, .font-claude-message',
+        codeBlocks: "pre",
+        threadRoot: "",
+        mainRoot: "main",
+        streaming: '[data-is-streaming="true"]'
+      }),
+      minimalUiTargets: Object.freeze({
+        sidebar: 'nav[data-testid="menu-sidebar"]',
+        conversationOptions: '[data-testid="chat-menu-trigger"]',
+        modelPicker: '[data-testid="model-selector-dropdown"]',
+        upsellBanners: '[data-testid*="upsell"], [data-testid*="upgrade"]'
+      }),
+      minimalUiRootCss: ""
+    }),
+    Object.freeze({
+      id: "gemini",
+      hosts: Object.freeze(["gemini.google.com"]),
+      assistantLabel: "Gemini",
+      conversationIdPattern: /\/app\/([A-Za-z0-9]+)/,
+      selectors: Object.freeze({
+        turns: Object.freeze(["user-query, model-response"]),
+        userRole: "user-query",
+        assistantRole: "model-response",
+        userMessage: ".query-text",
+        assistantMessage: "message-content",
+        messageContent: ".query-text, message-content",
+        codeBlocks: "pre",
+        threadRoot: "#chat-history",
+        mainRoot: "main",
+        streaming: 'button.send-button.stop, button[aria-label="Stop response"]'
+      }),
+      minimalUiTargets: Object.freeze({
+        sidebar: "bard-sidenav",
+        modelPicker: "bard-mode-switcher",
+        disclaimer: "hallucination-disclaimer",
+        upsellBanners: '[data-test-id*="upsell"], upsell-button'
+      }),
+      minimalUiRootCss: ""
+    })
+  ]);
+
+  /**
+   * Adapter selectors the user can override on the options page.
+   * turns is a list (tried in order); minimalUiTargets is an object of named selectors; the rest are single selectors.
+   * Must match SELECTOR_FIELDS in options.js.
+   */
+  const OVERRIDABLE_SELECTOR_KEYS = Object.freeze([
+    "turns",
+    "userRole",
+    "userMessage",
+    "assistantMessage",
+    "codeBlocks",
+    "threadRoot",
+    "streaming"
+  ]);
+
+  /**
+   * Site-independent selectors. Site-specific selectors live in SITE_ADAPTERS.
+   */
   const SELECTORS = Object.freeze({
-    conversationTurnsPrimary: 'article[data-testid^="conversation-turn-"]',
-    conversationTurnsFallback: "article[data-turn-id][data-turn]",
-    userRoleContainer: '[data-message-author-role="user"]',
-    codeBlocks: "pre",
-    threadRoot: "#thread",
-    mainRoot: "main"
+    previewBlocks: "p, h1, h2, h3, h4, h5, h6, li, pre, blockquote",
+    // Must include CLASSES.lineNumbers: the line number column sits inside the site's code container.
+    exportSkip: "button, svg, script, style, iframe, textarea, .sr-only, [id^='cgpt-trimmer-'], .cgpt-trimmer-line-numbers",
+    codeElement: "code"
+  });
+
+  /**
+   * Content types that can be collapsed one by one ("Collapse content" in the popup).
+   * Must match CONTENT_TYPES in popup.js.
+   */
+  const CONTENT_TYPES = Object.freeze(["images", "toolOutput", "reasoning", "attachments", "citations"]);
+
+  /**
+   * Selectors of each content type, by site adapter ID. A site without a selector for a type does not show that
+   * content. Elements inside another match of the same type are collapsed together with it.
+   */
+  const CONTENT_TYPE_SELECTORS = Object.freeze({
+    images: Object.freeze({
+      chatgpt: 'div[id^="image-"], [data-message-author-role="assistant"] img',
+      claude: ".font-claude-response img",
+      gemini: "generated-image, single-image"
+    }),
+    toolOutput: Object.freeze({
+      chatgpt: '[data-message-author-role="tool"]',
+      claude: '[data-testid="tool-use-block"]',
+      gemini: "code-execution-result"
+    }),
+    reasoning: Object.freeze({
+      chatgpt: '[data-testid^="reasoning"]',
+      claude: '[data-testid="thinking-block"]',
+      gemini: "model-thoughts"
+    }),
+    attachments: Object.freeze({
+      chatgpt: '[data-testid="file-thumbnail"]',
+      claude: '[data-testid="file-thumbnail"]',
+      gemini: "user-query-file-preview"
+    }),
+    citations: Object.freeze({
+      chatgpt: '[data-testid="webpage-citation-pill"]',
+      claude: '[data-testid="citation"]',
+      gemini: "source-footnote, sources-list"
+    })
+  });
+
+  /**
+   * Export formats and turn ranges accepted by TRIMMER_EXPORT.
+   * Must match EXPORT_FORMATS and EXPORT_RANGES in popup.js.
+   */
+  const EXPORT_FORMATS = Object.freeze({
+    markdown: "markdown",
+    json: "json",
+    html: "html"
+  });
+
+  const EXPORT_RANGES = Object.freeze({
+    full: "full",
+    visible: "visible",
+    range: "range"
+  });
+
+  const EXPORT_FILE_TYPES = Object.freeze({
+    [EXPORT_FORMATS.markdown]: { extension: "md", mimeType: "text/markdown" },
+    [EXPORT_FORMATS.json]: { extension: "json", mimeType: "application/json" },
+    [EXPORT_FORMATS.html]: { extension: "html", mimeType: "text/html" }
+  });
+
+  /**
+   * Attributes kept in HTML exports; everything else (classes, inline handlers, data attributes) is dropped.
+   * src is only kept for inline (data:) images, see getTurnExportHtml.
+   */
+  const EXPORT_HTML_ATTRIBUTES = Object.freeze(["href", "src", "alt", "title", "colspan", "rowspan"]);
+
+  /**
+   * URL schemes of links kept in HTML exports. Links only load when clicked; other schemes (javascript:, blob:, ...)
+   * are removed.
+   */
+  const EXPORT_LINK_PROTOCOLS = Object.freeze(["http:", "https:", "mailto:"]);
+
+  /**
+   * File extensions of downloaded code blocks by code language (lowercase, see getCodeLanguage).
+   * Languages that are missing here are saved as DEFAULT_CODE_FILE_EXTENSION.
+   */
+  const CODE_FILE_EXTENSIONS = Object.freeze({
+    bash: "sh",
+    c: "c",
+    "c#": "cs",
+    "c++": "cpp",
+    cpp: "cpp",
+    csharp: "cs",
+    css: "css",
+    diff: "diff",
+    dockerfile: "dockerfile",
+    go: "go",
+    html: "html",
+    ini: "ini",
+    java: "java",
+    javascript: "js",
+    js: "js",
+    json: "json",
+    jsx: "jsx",
+    kotlin: "kt",
+    lua: "lua",
+    makefile: "mk",
+    markdown: "md",
+    perl: "pl",
+    php: "php",
+    powershell: "ps1",
+    python: "py",
+    py: "py",
+    r: "r",
+    ruby: "rb",
+    rust: "rs",
+    scss: "scss",
+    sh: "sh",
+    shell: "sh",
+    sql: "sql",
+    swift: "swift",
+    toml: "toml",
+    ts: "ts",
+    tsx: "tsx",
+    typescript: "ts",
+    xml: "xml",
+    yaml: "yaml",
+    yml: "yml",
+    zsh: "sh"
+  });
+
+  const DEFAULT_CODE_FILE_EXTENSION = "txt";
+
+  /**
+   * Buttons of the code toolbar next to the collapse toggle (value of ATTRS.codeTool).
+   */
+  const CODE_TOOLS = Object.freeze({
+    download: "download",
+    lineNumbers: "line-numbers",
+    wrap: "wrap"
+  });
+
+  const TEXT_PATTERNS = Object.freeze({
+    codeLanguageClass: /(?:^|\s)language-([\w#+.-]+)/
   });
 
   const IDS = Object.freeze({
     styleTag: "cgpt-trimmer-style",
-    banner: "cgpt-trimmer-banner"
+    minimalUiStyleTag: "cgpt-trimmer-minimal-ui-style",
+    banner: "cgpt-trimmer-banner",
+    outline: "cgpt-trimmer-outline",
+    outlineList: "cgpt-trimmer-outline-list",
+    search: "cgpt-trimmer-search"
+  });
+
+  /**
+   * Names for the CSS Custom Highlight API (::highlight()), used to mark search matches without touching the DOM.
+   */
+  const HIGHLIGHTS = Object.freeze({
+    searchMatch: "cgpt-trimmer-search-match",
+    searchCurrent: "cgpt-trimmer-search-current"
+  });
+
+  const BANNER_ACTIONS = Object.freeze({
+    showMore: "show-more",
+    showAll: "show-all",
+    retrim: "retrim",
+    resume: "resume"
   });
 
   const CLASSES = Object.freeze({
     hiddenTurn: "cgpt-trimmer-hidden",
-    minimalUi: "cgpt-trimmer-minimal-ui",
+    bannerText: "cgpt-trimmer-banner-text",
+    bannerSeparator: "cgpt-trimmer-banner-separator",
+    bannerButton: "cgpt-trimmer-banner-button",
+    detachedPlaceholder: "cgpt-trimmer-detached-placeholder",
     messageToggle: "cgpt-trimmer-message-toggle",
+    assistantToggle: "cgpt-trimmer-assistant-toggle",
+    contentToggle: "cgpt-trimmer-content-toggle",
     codeToggle: "cgpt-trimmer-code-toggle",
+    codeToolbar: "cgpt-trimmer-code-toolbar",
+    codeTool: "cgpt-trimmer-code-tool",
+    lineNumbers: "cgpt-trimmer-line-numbers",
+    lineNumbersHost: "cgpt-trimmer-line-numbers-host",
+    wrappedCode: "cgpt-trimmer-wrapped-code",
+    pinToggle: "cgpt-trimmer-pin-toggle",
+    pinnedTurn: "cgpt-trimmer-pinned",
+    flashTurn: "cgpt-trimmer-flash",
+    outlineToggle: "cgpt-trimmer-outline-toggle",
+    outlineItem: "cgpt-trimmer-outline-item",
+    outlineItemVisible: "cgpt-trimmer-outline-item-visible",
+    searchInput: "cgpt-trimmer-search-input",
+    searchCount: "cgpt-trimmer-search-count",
+    searchButton: "cgpt-trimmer-search-button",
+    searchReveal: "cgpt-trimmer-search-reveal",
     collapsedUserMessage: "cgpt-trimmer-collapsed-user-message",
-    collapsedCodeBlock: "cgpt-trimmer-collapsed-code-block"
+    collapsedAssistantMessage: "cgpt-trimmer-collapsed-assistant-message",
+    collapsedContent: "cgpt-trimmer-collapsed-content",
+    collapsedCodeBlock: "cgpt-trimmer-collapsed-code-block",
+    toggleLabel: "cgpt-trimmer-toggle-label",
+    togglePreview: "cgpt-trimmer-toggle-preview",
+    navigationFocus: "cgpt-trimmer-navigation-focus"
   });
 
   const ATTRS = Object.freeze({
     messageKey: "data-cgpt-trimmer-message-key",
-    codeKey: "data-cgpt-trimmer-code-key"
+    assistantKey: "data-cgpt-trimmer-assistant-key",
+    contentKey: "data-cgpt-trimmer-content-key",
+    contentType: "data-cgpt-trimmer-content-type",
+    codeKey: "data-cgpt-trimmer-code-key",
+    codeTool: "data-cgpt-trimmer-code-tool",
+    pinKey: "data-cgpt-trimmer-pin-key",
+    outlineTurnKey: "data-cgpt-trimmer-outline-turn-key",
+    bannerAction: "data-cgpt-trimmer-banner-action",
+    // Must match DETACHED_ATTR in detach-guard.js.
+    detached: "data-cgpt-trimmer-detached"
+  });
+
+  const EVENTS = Object.freeze({
+    // Sent by detach-guard.js before the page changes the children of a detached turn. Must match REATTACH_EVENT there.
+    reattach: "cgpt-trimmer-reattach"
   });
 
+  /**
+   * Elements created by the extension. Mutations of these are ignored by the observer.
+   */
+  const OWN_UI_SELECTOR = [
+    `#${IDS.banner}`,
+    `#${IDS.outline}`,
+    `#${IDS.search}`,
+    `#${IDS.styleTag}`,
+    `#${IDS.minimalUiStyleTag}`,
+    `.${CLASSES.messageToggle}`,
+    `.${CLASSES.assistantToggle}`,
+    `.${CLASSES.contentToggle}`,
+    `.${CLASSES.codeToolbar}`,
+    `.${CLASSES.lineNumbers}`,
+    `.${CLASSES.pinToggle}`,
+    `.${CLASSES.detachedPlaceholder}`
+  ].join(", ");
+
+  /**
+   * Messages and code blocks collapsed by the extension. Search matches inside them are revealed.
+   */
+  const COLLAPSED_SELECTOR = [
+    `.${CLASSES.collapsedUserMessage}`,
+    `.${CLASSES.collapsedAssistantMessage}`,
+    `.${CLASSES.collapsedContent}`,
+    `.${CLASSES.collapsedCodeBlock}`
+  ].join(", ");
+
+  /**
+   * Name of the performance measure recorded for every apply (visible in the DevTools performance panel).
+   */
+  const PERFORMANCE_MEASURE = "cgpt-trimmer-apply";
+
   const LABELS = Object.freeze({
+    showMoreTurns: `Show ${LIMITS.revealStep} more`,
+    showAllTurns: "Show all",
+    retrim: "Re-trim",
+    resume: "Resume trimming",
+    // Templates: {name} is replaced by formatLabel.
     showMyMessage: "Show my message",
     hideMyMessage: "Hide my message",
-    showCode: "Show code",
-    hideCode: "Hide code"
+    readMore: "Read more",
+    showLess: "Show less",
+    showContent: "Show {name}",
+    hideContent: "Hide {name}",
+    showCode: "Show code — {language}, {lines}",
+    showCodeWithoutLanguage: "Show code — {lines}",
+    hideCode: "Hide code",
+    downloadCode: "Download",
+    lineNumbers: "Line numbers",
+    wrapCode: "Wrap",
+    allCodeBlockHeading: "Turn {turn}, code block {index}",
+    // Link that replaces a remote image in HTML exports.
+    exportImageLink: "[Image: {name}]",
+    exportImageName: "no description",
+    lineCount: "{count} lines",
+    lineCountOne: "1 line",
+    // Auto mode (see resolveKeepLastN): why this many turns are shown.
+    autoReasonBudget: "{count} turns fit the budget ({used} of {budget} page elements)",
+    autoReasonMinimum: "minimum of {count} turns, above the budget ({used} of {budget} page elements)",
+    autoReasonAll: "all {count} turns, above the budget ({used} of {budget} page elements)",
+    pinTurn: "Pin",
+    unpinTurn: "Pinned",
+    outline: "Outline",
+    outlineRegion: "Conversation outline",
+    bannerRegion: "Hidden turns",
+    codeToolbar: "Code block tools",
+    roleUser: "You",
+    roleUnknown: "Turn",
+    emptyPreview: "(no text)",
+    searchPlaceholder: "Search all turns",
+    searchPrevious: "Previous match",
+    searchNext: "Next match",
+    searchClose: "Close search",
+    searchNoMatches: "0/0",
+    exportDefaultTitle: "Conversation"
+  });
+
+  /**
+   * Names of the content types on their toggles (see LABELS.showContent).
+   */
+  const CONTENT_TYPE_NAMES = Object.freeze({
+    images: "image",
+    toolOutput: "tool output",
+    reasoning: "reasoning",
+    attachments: "attachment",
+    citations: "citation"
   });
 
   /**
-   * Stores collapse states per message/code key so React re-renders do not reset user toggles.
+   * Stores collapse states per message/code key so React re-renders do not reset user toggles,
+   * and the turn keys of pinned turns.
+   * The state belongs to one conversation and is loaded from / persisted to chrome.storage.local.
    */
   const COLLAPSE_STATE = {
+    conversationId: null,
+    loading: null,
     messages: new Map(),
-    codeBlocks: new Map()
+    codeBlocks: new Map(),
+    assistantMessages: new Map(),
+    contentBlocks: new Map(),
+    pinnedTurns: new Set()
+  };
+
+  /**
+   * Code blocks of the current conversation with line numbers or word wrap turned on, by code key.
+   * Kept in memory only (see getCodeViewState).
+   */
+  const CODE_VIEW_STATE = {
+    conversationId: null,
+    lineNumbers: new Set(),
+    wrapped: new Set()
+  };
+
+  /**
+   * Content of detached turns, kept off-document while the turn is hidden.
+   * The turn element itself stays in place (with a placeholder child), so its parent and siblings are unchanged.
+   * Key: turn element, value: DocumentFragment with the original child nodes.
+   */
+  const DETACHED_TURNS = new Map();
+
+  /**
+   * Older turns revealed from the banner on top of the last N turns.
+   * The window is anchored to the key of its first turn, so it stays stable while new turns arrive.
+   * Single turns opened from the outline are kept in revealedTurnKeys.
+   * Both are reset when the user switches to another conversation.
+   */
+  const VIEW_STATE = {
+    conversationId: null,
+    revealFromKey: null,
+    revealedTurnKeys: new Set(),
+    outlineOpen: false,
+    outlineSignature: ""
+  };
+
+  /**
+   * Per-tab suspended state set by "Show all" in the popup.
+   * While suspended, turns are neither trimmed nor collapsed. Mirrored to sessionStorage so a reload keeps it.
+   */
+  const SUSPEND_STATE = {
+    suspended: false,
+    conversationId: null
+  };
+
+  /**
+   * Turn count and reason chosen by the last apply in auto mode (see resolveKeepLastN), shown by the popup.
+   * null while N is fixed.
+   * @type {{count:number, reason:string}|null}
+   */
+  let lastAutoKeep = null;
+
+  /**
+   * Opt-in keyboard navigation. enabled follows settings.keyboardNavigation of the last apply;
+   * target is the turn or code block the last navigation key moved to, and the starting point of the next move.
+   */
+  const NAVIGATION_STATE = {
+    enabled: false,
+    target: null
+  };
+
+  /**
+   * Last status sent to background.js, so unchanged status is not sent again after every apply.
+   */
+  let lastReportedStatus = "";
+
+  /**
+   * Effective settings of the current conversation, kept in memory so applies caused by page updates do not read storage.
+   * Cleared when settings are saved here or change in chrome.storage.sync.
+   */
+  const SETTINGS_CACHE = {
+    conversationId: null,
+    loading: null
+  };
+
+  /**
+   * Turns whose collapse toggles and pin button are up to date. Applies caused by page updates only process other turns.
+   * The observer removes a turn when something inside it changes. signature and firstTurn identify the settings
+   * and turn list the turns were processed for; when they change, all turns are processed again.
+   * latestAssistantTurn is the answer that stayed expanded as the latest one (see takePendingTurns).
+   * elementCounts holds the page elements of each turn for auto mode (see getTurnElementCount). Full applies count
+   * again; between them the observer removes a turn when something inside it changes.
+   */
+  const TURN_CACHE = {
+    processed: new WeakSet(),
+    elementCounts: new WeakMap(),
+    signature: "",
+    firstTurn: null,
+    latestAssistantTurn: null
+  };
+
+  /**
+   * Element the MutationObserver watches (thread root, or a fallback container while there is none) and the URL path
+   * seen by the last check. rootWatcher observes the direct children of the root's ancestors, so it notices when the
+   * site removes the root (see watchObserverRoot).
+   */
+  const OBSERVER_STATE = {
+    root: null,
+    isFallback: false,
+    pathname: "",
+    rootWatcher: null
+  };
+
+  /**
+   * Response generation in progress. While active, the turn window is computed from idleTurnCount (the turn count
+   * of the last apply without generation in conversationId), so it does not shift in the middle of a response.
+   * watcher observes marker, the element that shows generation (see watchStreamingMarker), because the stop button
+   * usually lives outside the observed thread root.
+   */
+  const STREAMING_STATE = {
+    active: false,
+    idleTurnCount: 0,
+    conversationId: null,
+    marker: null,
+    watcher: null
+  };
+
+  /**
+   * Timing of applyTrimming runs. Full applies come from the popup, commands and settings changes;
+   * incremental applies come from page updates.
+   */
+  const APPLY_STATS = {
+    fullCount: 0,
+    incrementalCount: 0,
+    totalMs: 0,
+    maxMs: 0,
+    lastMs: 0,
+    lastProcessedTurns: 0,
+    mutationBatches: 0
+  };
+
+  /**
+   * In-page search over all turns.
+   * matches holds text ranges; the current match's turn is revealed temporarily via revealTurnKey,
+   * and collapsed ancestors of the current match get CLASSES.searchReveal until the search moves on.
+   */
+  const SEARCH_STATE = {
+    open: false,
+    query: "",
+    matches: [],
+    currentIndex: -1,
+    revealTurnKey: null,
+    timer: null
   };
 
+  /**
+   * Adapter for the site this content script runs on, without user overrides.
+   */
+  const SITE_ADAPTER = getSiteAdapter(window.location.hostname);
+
+  /**
+   * Adapter in use: SITE_ADAPTER with the user's selector overrides applied (see ensureSelectorOverridesLoaded).
+   * @type {SiteAdapter}
+   */
+  let siteAdapter = SITE_ADAPTER;
+
+  /** @type {Promise<void>|null} */
+  let selectorOverridesLoading = null;
+
+  /**
+   * Compiled auto-collapse rules (see compileCollapseRules), reloaded after they change (see init).
+   */
+  let collapseRules = compileCollapseRules(DEFAULT_COLLAPSE_RULES);
+
+  /** @type {Promise<void>|null} */
+  let collapseRulesLoading = null;
+
   let applyTimer = null;
+  let pendingFullApply = false;
+  let persistCollapseTimer = null;
   let observer = null;
   let listenersAttached = false;
 
   /**
-   * Promise wrapper for chrome.storage.sync.get.
-   * @returns {Promise<{keepLastN:number, minimalUi:boolean, collapseOwnMessages:boolean, collapseCodeBlocks:boolean}>}
+   * Normalizes raw stored values into a complete settings object.
+   * @param {object} raw
+   * @returns {TrimmerSettings}
    */
-  function loadSettings() {
-    return new Promise((resolve) => {
-      chrome.storage.sync.get(DEFAULT_SETTINGS, (result) => {
-        resolve({
-          keepLastN: clampKeepLastN(result.keepLastN),
-          minimalUi: Boolean(result.minimalUi),
-          collapseOwnMessages: Boolean(result.collapseOwnMessages),
-          collapseCodeBlocks: Boolean(result.collapseCodeBlocks)
-        });
-      });
-    });
+  function normalizeSettings(raw) {
+    return {
+      keepLastN: clampKeepLastN(raw.keepLastN),
+      keepFirstN: clampKeepFirstN(raw.keepFirstN),
+      autoKeepLastN: Boolean(raw.autoKeepLastN),
+      autoElementBudget: clampAutoElementBudget(raw.autoElementBudget),
+      autoMinKeepLastN: clampAutoMinKeepLastN(raw.autoMinKeepLastN),
+      hiddenUiParts: normalizeHiddenUiParts(raw.hiddenUiParts, raw.minimalUi),
+      customHiddenSelectors: normalizeSelectorList(raw.customHiddenSelectors),
+      collapseOwnMessages: Boolean(raw.collapseOwnMessages),
+      collapseCodeBlocks: Boolean(raw.collapseCodeBlocks),
+      showCodeToolbar: Boolean(raw.showCodeToolbar),
+      collapseAssistantMessages: Boolean(raw.collapseAssistantMessages),
+      assistantCollapseHeight: clampAssistantCollapseHeight(raw.assistantCollapseHeight),
+      collapsedContentTypes: normalizeContentTypes(raw.collapsedContentTypes),
+      detachHiddenTurns: Boolean(raw.detachHiddenTurns),
+      showOutline: Boolean(raw.showOutline),
+      collapseCodeWhileStreaming: Boolean(raw.collapseCodeWhileStreaming),
+      keyboardNavigation: Boolean(raw.keyboardNavigation)
+    };
   }
 
   /**
-   * Promise wrapper for chrome.storage.sync.set.
-   * @param {object} value
+   * Keeps known part names only. Without a stored choice, the former minimalUi switch decides:
+   * off = nothing hidden, on or never set = the classic preset.
+   * @param {unknown} parts
+   * @param {unknown} legacyMinimalUi
+   * @returns {string[]}
+   */
+  function normalizeHiddenUiParts(parts, legacyMinimalUi) {
+    if (!Array.isArray(parts)) {
+      return legacyMinimalUi === false ? [] : [...CLASSIC_UI_PARTS];
+    }
+
+    return UI_PARTS.filter((name) => parts.includes(name));
+  }
+
+  /**
+   * Keeps known content type names, in CONTENT_TYPES order.
+   * @param {unknown} types
+   * @returns {string[]}
+   */
+  function normalizeContentTypes(types) {
+    return Array.isArray(types) ? CONTENT_TYPES.filter((name) => types.includes(name)) : [];
+  }
+
+  /**
+   * Keeps non-empty, trimmed, unique strings of a stored selector list.
+   * Validity is checked before injection (see getMinimalUiCss).
+   * @param {unknown} selectors
+   * @returns {string[]}
+   */
+  function normalizeSelectorList(selectors) {
+    if (!Array.isArray(selectors)) {
+      return [];
+    }
+
+    const cleaned = selectors.filter((selector) => typeof selector === "string").map((selector) => selector.trim());
+    return [...new Set(cleaned.filter(Boolean))];
+  }
+
+  /**
+   * Turns stored auto-collapse rules into the form used while collapsing: numbers clamped, regular expressions
+   * compiled (invalid ones skipped) and languages lowercased.
+   * @param {unknown} raw
+   * @returns {{messageMinChars:number, messageMinLines:number, messagePatterns:RegExp[], codeMinLines:number, alwaysCollapseLanguages:Set<string>, neverCollapseLanguages:Set<string>}}
+   */
+  function compileCollapseRules(raw) {
+    const rules = raw && typeof raw === "object" ? raw : {};
+    const toCount = (value) => Math.max(0, Math.floor(Number(value)) || 0);
+    const toList = (value) =>
+      Array.isArray(value) ? value.filter((item) => typeof item === "string" && item.trim()) : [];
+    const messagePatterns = [];
+
+    for (const source of toList(rules.messagePatterns)) {
+      try {
+        messagePatterns.push(new RegExp(source, COLLAPSE_RULE_REGEX_FLAGS));
+      } catch (_error) {
+        // Invalid patterns are rejected by the options page; a broken stored one is ignored here.
+      }
+    }
+
+    return {
+      messageMinChars: toCount(rules.messageMinChars),
+      messageMinLines: toCount(rules.messageMinLines),
+      messagePatterns,
+      codeMinLines: toCount(rules.codeMinLines),
+      alwaysCollapseLanguages: new Set(toList(rules.alwaysCollapseLanguages).map((item) => item.trim().toLowerCase())),
+      neverCollapseLanguages: new Set(toList(rules.neverCollapseLanguages).map((item) => item.trim().toLowerCase()))
+    };
+  }
+
+  /**
+   * Makes sure collapseRules holds the stored auto-collapse rules.
+   * Loaded once; reloaded after the rules change (see init).
    * @returns {Promise<void>}
    */
-  function saveSettings(value) {
-    return new Promise((resolve) => {
-      chrome.storage.sync.set(value, () => resolve());
-    });
+  function ensureCollapseRulesLoaded() {
+    if (!collapseRulesLoading) {
+      collapseRulesLoading = new Promise((resolve) => {
+        chrome.storage.sync.get({ [STORAGE_KEYS.collapseRules]: DEFAULT_COLLAPSE_RULES }, (result) => {
+          collapseRules = compileCollapseRules(result[STORAGE_KEYS.collapseRules]);
+          resolve();
+        });
+      });
+    }
+
+    return collapseRulesLoading;
   }
 
   /**
-   * Clamp visible turn count to a sane range.
-   * @param {unknown} value
+   * Returns the number of lines of a text (a trailing line break does not start a new line).
+   * @param {string} text
    * @returns {number}
    */
-  function clampKeepLastN(value) {
-    const parsed = Number.parseInt(String(value), 10);
+  function countLines(text) {
+    return text ? text.replace(/\n$/, "").split("\n").length : 0;
+  }
 
-    if (!Number.isFinite(parsed)) {
-      return DEFAULT_SETTINGS.keepLastN;
+  /**
+   * Returns whether a user message without a remembered state starts collapsed.
+   * A matching regex rule always collapses; otherwise the message must exceed one of the set limits.
+   * @param {HTMLElement} messageNode
+   * @returns {boolean}
+   */
+  function shouldAutoCollapseMessage(messageNode) {
+    const text = (messageNode.textContent || "").trim();
+    const { messageMinChars, messageMinLines, messagePatterns } = collapseRules;
+
+    if (messagePatterns.some((pattern) => pattern.test(text))) {
+      return true;
     }
 
-    return Math.min(LIMITS.maxKeepLastN, Math.max(LIMITS.minKeepLastN, parsed));
+    if (!messageMinChars && !messageMinLines) {
+      return true;
+    }
+
+    return (
+      (messageMinChars > 0 && text.length > messageMinChars) ||
+      (messageMinLines > 0 && countLines(text) > messageMinLines)
+    );
   }
 
   /**
-   * Injects extension CSS once.
+   * Returns whether a code block without a remembered state starts collapsed.
+   * Language rules win over the line limit; "never" wins over "always".
+   * @param {HTMLElement} preElement
+   * @returns {boolean}
    */
-  function ensureStyleTag() {
-    if (document.getElementById(IDS.styleTag)) {
-      return;
+  function shouldAutoCollapseCode(preElement) {
+    const language = getCodeLanguage(preElement);
+    const { codeMinLines, alwaysCollapseLanguages, neverCollapseLanguages } = collapseRules;
+
+    if (language && neverCollapseLanguages.has(language)) {
+      return false;
     }
 
-    const style = document.createElement("style");
-    style.id = IDS.styleTag;
-    style.textContent = `
-      .${CLASSES.hiddenTurn} {
-        display: none !important;
-      }
+    if (language && alwaysCollapseLanguages.has(language)) {
+      return true;
+    }
 
-      #${IDS.banner} {
-        margin: 8px auto 12px auto;
-        padding: 8px 12px;
-        max-width: 48rem;
-        border-radius: 10px;
-        border: 1px solid rgba(127, 127, 127, 0.35);
-        background: rgba(127, 127, 127, 0.08);
-        color: inherit;
-        font-size: 12px;
-        line-height: 1.35;
-        opacity: 0.9;
-      }
+    return !codeMinLines || countLines(getCodeText(preElement)) > codeMinLines;
+  }
 
-      .${CLASSES.messageToggle},
-      .${CLASSES.codeToggle} {
-        display: inline-flex;
-        align-items: center;
-        gap: 6px;
-        margin: 4px 0 6px 0;
-        padding: 4px 8px;
-        border-radius: 8px;
-        border: 1px solid rgba(127, 127, 127, 0.35);
-        background: rgba(127, 127, 127, 0.08);
-        color: inherit;
-        font-size: 11px;
-        line-height: 1.2;
-        cursor: pointer;
-        user-select: none;
+  /**
+   * Returns the conversation ID from the current URL, using the site adapter's conversationIdPattern:
+   * /c/<id> or /g/<gizmo>/c/<id> on ChatGPT, /chat/<id> on Claude and /app/<id> on Gemini.
+   * null on pages without a conversation (e.g. a new chat).
+   * @returns {string|null}
+   */
+  function getConversationId() {
+    const match = siteAdapter.conversationIdPattern.exec(window.location.pathname);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Returns the site adapter for a hostname. Falls back to the first (ChatGPT) adapter.
+   * @param {string} hostname
+   * @returns {SiteAdapter}
+   */
+  function getSiteAdapter(hostname) {
+    const adapter = SITE_ADAPTERS.find((candidate) =>
+      candidate.hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`))
+    );
+
+    return adapter || SITE_ADAPTERS[0];
+  }
+
+  /**
+   * Returns whether a string is a usable CSS selector.
+   * @param {unknown} selector
+   * @returns {boolean}
+   */
+  function isValidSelector(selector) {
+    if (typeof selector !== "string" || !selector.trim()) {
+      return false;
+    }
+
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  /**
+   * Returns a copy of an adapter with selector overrides applied.
+   * Empty and invalid override selectors are ignored, so the adapter default stays in use.
+   * @param {SiteAdapter} base
+   * @param {unknown} override Stored overrides of this site.
+   * @returns {SiteAdapter}
+   */
+  function applySelectorOverride(base, override) {
+    if (!override || typeof override !== "object") {
+      return base;
+    }
+
+    const selectors = { ...base.selectors };
+    const minimalUiTargets = { ...base.minimalUiTargets };
+
+    for (const key of OVERRIDABLE_SELECTOR_KEYS) {
+      const value = override[key];
+
+      if (key === "turns") {
+        const turns = Array.isArray(value) ? value.filter(isValidSelector) : [];
+        if (turns.length) {
+          selectors.turns = turns;
+        }
+      } else if (isValidSelector(value)) {
+        selectors[key] = value;
+      }
+    }
+
+    if (override.minimalUiTargets && typeof override.minimalUiTargets === "object") {
+      for (const [name, selector] of Object.entries(override.minimalUiTargets)) {
+        if (isValidSelector(selector)) {
+          minimalUiTargets[name] = selector;
+        }
+      }
+    }
+
+    return { ...base, selectors, minimalUiTargets };
+  }
+
+  /**
+   * Promise wrapper for chrome.storage.sync.get of the selector overrides.
+   * Resolves the overrides of the current site, or null.
+   * @returns {Promise<object|null>}
+   */
+  function loadSelectorOverride() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get({ [STORAGE_KEYS.selectorOverrides]: {} }, (result) => {
+        const all = result[STORAGE_KEYS.selectorOverrides];
+        resolve(all && typeof all === "object" ? all[SITE_ADAPTER.id] || null : null);
+      });
+    });
+  }
+
+  /**
+   * Makes sure siteAdapter includes the stored selector overrides.
+   * Loaded once; reloaded after the overrides change (see init).
+   * @returns {Promise<void>}
+   */
+  function ensureSelectorOverridesLoaded() {
+    if (!selectorOverridesLoading) {
+      selectorOverridesLoading = loadSelectorOverride().then((override) => {
+        siteAdapter = applySelectorOverride(SITE_ADAPTER, override);
+      });
+    }
+
+    return selectorOverridesLoading;
+  }
+
+  /**
+   * Counts the elements one selector matches in the page.
+   * @param {string} selector
+   * @returns {{selector:string, count:number, error?:string}}
+   */
+  function countSelector(selector) {
+    if (!selector) {
+      return { selector, count: 0 };
+    }
+
+    try {
+      return { selector, count: document.querySelectorAll(selector).length };
+    } catch (_error) {
+      return { selector, count: 0, error: "Invalid selector" };
+    }
+  }
+
+  /**
+   * Reports how many elements each selector of the adapter matches, with the given (unsaved) overrides applied.
+   * Invalid override selectors are listed separately.
+   * @param {unknown} override
+   * @returns {{ok:true, siteId:string, invalid:ReturnType<typeof countSelector>[], fields:Object<string, ReturnType<typeof countSelector>[]>, minimalUiTargets:Object<string, ReturnType<typeof countSelector>>}}
+   */
+  function testSelectors(override) {
+    const invalid = [];
+
+    if (override && typeof override === "object") {
+      for (const key of OVERRIDABLE_SELECTOR_KEYS) {
+        const values = key === "turns" && Array.isArray(override[key]) ? override[key] : [override[key]];
+        invalid.push(...values.filter((value) => value && !isValidSelector(value)));
+      }
+
+      if (override.minimalUiTargets && typeof override.minimalUiTargets === "object") {
+        const values = Object.values(override.minimalUiTargets);
+        invalid.push(...values.filter((value) => value && !isValidSelector(value)));
+      }
+    }
+
+    const adapter = applySelectorOverride(SITE_ADAPTER, override);
+    const fields = {};
+
+    for (const key of OVERRIDABLE_SELECTOR_KEYS) {
+      const value = adapter.selectors[key];
+      fields[key] = (Array.isArray(value) ? value : [value]).map(countSelector);
+    }
+
+    const minimalUiTargets = {};
+    for (const [name, selector] of Object.entries(adapter.minimalUiTargets)) {
+      minimalUiTargets[name] = countSelector(selector);
+    }
+
+    return {
+      ok: true,
+      siteId: SITE_ADAPTER.id,
+      invalid: invalid.map((selector) => ({ selector, count: 0, error: "Invalid selector" })),
+      fields,
+      minimalUiTargets
+    };
+  }
+
+  /**
+   * Checks the adapter's selectors against the page, so the popup can tell when they appear broken.
+   * broken is set when the URL points to a conversation but no turns are found, or turns are found without roles.
+   * @returns {{siteId:string, overridesActive:boolean, version:string, page:string, conversationId:string|null, turnSelectors:ReturnType<typeof countSelector>[], turnStrategy:number, turnCount:number, userTurnCount:number, assistantTurnCount:number, codeBlockCount:number, threadRootSelector:string, threadRootFound:boolean, minimalUiTargets:Object<string, number>, problems:string[], broken:boolean}}
+   */
+  function getDiagnostics() {
+    const { selectors } = siteAdapter;
+    const conversationId = getConversationId();
+    const turnSelectors = selectors.turns.map(countSelector);
+    const turns = getConversationTurns();
+    const roles = turns.map(getTurnRole);
+    const userTurnCount = roles.filter((role) => role === "user").length;
+    const assistantTurnCount = roles.filter((role) => role === "assistant").length;
+    const codeBlockCount = turns.reduce(
+      (count, turn) => count + getTurnContentRoot(turn).querySelectorAll(selectors.codeBlocks).length,
+      0
+    );
+    const threadRootFound = Boolean(getThreadRoot());
+
+    const minimalUiTargets = {};
+    for (const [name, selector] of Object.entries(siteAdapter.minimalUiTargets)) {
+      minimalUiTargets[name] = countSelector(selector).count;
+    }
+
+    const problems = [];
+    let broken = false;
+
+    if (conversationId && turns.length === 0) {
+      broken = true;
+      problems.push("No turns found, but the URL points to a conversation.");
+    }
+
+    if (turns.length > 0 && userTurnCount + assistantTurnCount === 0) {
+      broken = true;
+      problems.push("Turns found, but no user or assistant role could be detected.");
+    } else if (turns.length > 1 && (userTurnCount === 0 || assistantTurnCount === 0)) {
+      problems.push("Only one kind of turn (user or assistant) was detected.");
+    }
+
+    if (selectors.threadRoot && !threadRootFound) {
+      problems.push("The thread root selector matches nothing.");
+    }
+
+    return {
+      siteId: SITE_ADAPTER.id,
+      overridesActive: siteAdapter !== SITE_ADAPTER,
+      version: chrome.runtime.getManifest ? chrome.runtime.getManifest().version : "",
+      page: `${window.location.origin}${window.location.pathname}`,
+      conversationId,
+      turnSelectors,
+      turnStrategy: turnSelectors.findIndex((entry) => entry.count > 0),
+      turnCount: turns.length,
+      userTurnCount,
+      assistantTurnCount,
+      codeBlockCount,
+      threadRootSelector: selectors.threadRoot,
+      threadRootFound,
+      minimalUiTargets,
+      problems,
+      broken
+    };
+  }
+
+  /**
+   * Promise wrapper for chrome.storage.local.get of the overrides of all conversations.
+   * @returns {Promise<Object<string, object>>} Overrides keyed by conversation ID.
+   */
+  function loadConversationOverrides() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get({ [STORAGE_KEYS.conversationOverrides]: {} }, (result) => {
+        const overrides = result[STORAGE_KEYS.conversationOverrides];
+        resolve(overrides && typeof overrides === "object" ? overrides : {});
+      });
+    });
+  }
+
+  /**
+   * Saves the overrides of one conversation. background.js writes the overrides map (popup.js saves through it too).
+   * @param {string} conversationId
+   * @param {object} override
+   * @returns {Promise<void>}
+   */
+  function writeConversationOverride(conversationId, override) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ type: "TRIMMER_SAVE_CONVERSATION_OVERRIDE", conversationId, override }, (response) => {
+        const lastError = chrome.runtime.lastError;
+        if (lastError) {
+          reject(new Error(lastError.message));
+          return;
+        }
+
+        if (!response || response.ok !== true) {
+          reject(new Error(response?.error || "Saving the chat settings failed."));
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Promise wrapper for chrome.storage.sync.get of the global settings and the conversation's overrides.
+   * Resolves the effective settings for the current conversation.
+   * Per-conversation overrides win over the global settings for the keys in OVERRIDABLE_SETTING_KEYS.
+   * @returns {Promise<TrimmerSettings & {scope:string}>}
+   */
+  async function loadSettings() {
+    const conversationId = getConversationId();
+    const [result, overrides] = await Promise.all([
+      new Promise((resolve) => {
+        chrome.storage.sync.get({ ...DEFAULT_SETTINGS, ...LEGACY_SETTINGS }, resolve);
+      }),
+      conversationId ? loadConversationOverrides() : Promise.resolve({})
+    ]);
+
+    const merged = { ...result };
+    const override = conversationId ? overrides[conversationId] : null;
+
+    if (!override || typeof override !== "object") {
+      return { ...normalizeSettings(merged), scope: SCOPES.global };
+    }
+
+    for (const key of OVERRIDABLE_SETTING_KEYS) {
+      if (key in override) {
+        merged[key] = override[key];
+      }
+    }
+
+    return { ...normalizeSettings(merged), scope: SCOPES.conversation };
+  }
+
+  /**
+   * Returns the effective settings of the current conversation from the in-memory cache, loading them if needed.
+   * @returns {Promise<TrimmerSettings & {scope:string}>}
+   */
+  function getSettings() {
+    const conversationId = getConversationId();
+
+    if (!SETTINGS_CACHE.loading || SETTINGS_CACHE.conversationId !== conversationId) {
+      SETTINGS_CACHE.conversationId = conversationId;
+      SETTINGS_CACHE.loading = loadSettings();
+    }
+
+    return SETTINGS_CACHE.loading;
+  }
+
+  /**
+   * Drops the cached settings, so the next apply reads them from storage.
+   */
+  function clearSettingsCache() {
+    SETTINGS_CACHE.loading = null;
+  }
+
+  /**
+   * Caches the settings of a TRIMMER_APPLY payload as the effective settings of the current conversation.
+   * popup.js has saved them already, so the apply does not have to read them back from storage.
+   * @param {object} message TRIMMER_APPLY message with the settings (keepLastN, keepFirstN, ...) and scope.
+   */
+  function useAppliedSettings(message) {
+    SETTINGS_CACHE.conversationId = getConversationId();
+    SETTINGS_CACHE.loading = Promise.resolve({
+      ...normalizeSettings(message),
+      scope: message.scope === SCOPES.conversation ? SCOPES.conversation : SCOPES.global
+    });
+  }
+
+  /**
+   * Promise wrapper for chrome.storage.sync.set. Rejects when the browser refuses the write (e.g. a sync quota).
+   * @param {object} value
+   * @returns {Promise<void>}
+   */
+  function saveSettings(value) {
+    clearSettingsCache();
+
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set(value, () => {
+        const lastError = chrome.runtime.lastError;
+        if (lastError) {
+          reject(new Error(lastError.message));
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Returns the chrome.storage.local key holding the collapse state of one conversation.
+   * @param {string} conversationId
+   * @returns {string}
+   */
+  function getCollapseStateStorageKey(conversationId) {
+    return `${STORAGE_KEYS.collapseStatePrefix}${conversationId}`;
+  }
+
+  /**
+   * Promise wrapper for chrome.storage.local.get of one conversation's collapse state.
+   * @param {string} conversationId
+   * @returns {Promise<{updatedAt:number, messages:Object<string, boolean>, codeBlocks:Object<string, boolean>, assistantMessages:Object<string, boolean>, contentBlocks:Object<string, boolean>, pinnedTurns:string[]}|null>}
+   */
+  function loadStoredCollapseState(conversationId) {
+    const key = getCollapseStateStorageKey(conversationId);
+
+    return new Promise((resolve) => {
+      chrome.storage.local.get(key, (result) => {
+        const stored = result[key];
+        resolve(stored && typeof stored === "object" ? stored : null);
+      });
+    });
+  }
+
+  /**
+   * Promise wrapper for chrome.storage.local.get of the collapse state index.
+   * @returns {Promise<Object<string, number>>}
+   */
+  function loadCollapseStateIndex() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get({ [STORAGE_KEYS.collapseStateIndex]: {} }, (result) => {
+        const index = result[STORAGE_KEYS.collapseStateIndex];
+        resolve(index && typeof index === "object" ? { ...index } : {});
+      });
+    });
+  }
+
+  /**
+   * Marks a conversation's collapse state as used now and writes it together with extra items (e.g. the state itself).
+   * Collapse states that are too old or exceed the stored-conversation limit are removed, least recently used first.
+   * Only the index is read, so this stays cheap with many stored conversations.
+   * @param {string} conversationId
+   * @param {Object<string, any>} [items] Further chrome.storage.local items to write in the same call.
+   * @returns {Promise<void>}
+   */
+  async function touchCollapseState(conversationId, items = {}) {
+    const index = await loadCollapseStateIndex();
+    const now = Date.now();
+    index[conversationId] = now;
+
+    const staleIds = Object.keys(index)
+      .sort((a, b) => (Number(index[b]) || 0) - (Number(index[a]) || 0))
+      .filter((id, position) => {
+        return position >= LIMITS.maxStoredCollapseStates || now - (Number(index[id]) || 0) > LIMITS.collapseStateMaxAgeMs;
+      });
+
+    for (const id of staleIds) {
+      delete index[id];
+    }
+
+    await new Promise((resolve, reject) => {
+      chrome.storage.local.set({ ...items, [STORAGE_KEYS.collapseStateIndex]: index }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+
+        resolve();
+      });
+    });
+
+    if (staleIds.length === 0) {
+      return;
+    }
+
+    await new Promise((resolve) => {
+      chrome.storage.local.remove(staleIds.map(getCollapseStateStorageKey), () => resolve());
+    });
+  }
+
+  /**
+   * Writes the in-memory collapse state of the current conversation to chrome.storage.local.
+   * New chats without a conversation ID are kept in memory only.
+   * @returns {Promise<void>}
+   */
+  function persistCollapseState() {
+    window.clearTimeout(persistCollapseTimer);
+    persistCollapseTimer = null;
+
+    const conversationId = COLLAPSE_STATE.conversationId;
+    if (!conversationId) {
+      return Promise.resolve();
+    }
+
+    const value = {
+      updatedAt: Date.now(),
+      messages: Object.fromEntries(COLLAPSE_STATE.messages),
+      codeBlocks: Object.fromEntries(COLLAPSE_STATE.codeBlocks),
+      assistantMessages: Object.fromEntries(COLLAPSE_STATE.assistantMessages),
+      contentBlocks: Object.fromEntries(COLLAPSE_STATE.contentBlocks),
+      pinnedTurns: Array.from(COLLAPSE_STATE.pinnedTurns)
+    };
+
+    return touchCollapseState(conversationId, { [getCollapseStateStorageKey(conversationId)]: value });
+  }
+
+  /**
+   * Debounced persist, so quick toggle sequences result in one storage write.
+   */
+  function schedulePersistCollapseState() {
+    window.clearTimeout(persistCollapseTimer);
+
+    persistCollapseTimer = window.setTimeout(() => {
+      persistCollapseState().catch((error) => {
+        console.error("[ChatGPT UI Trimmer] persistCollapseState failed:", error);
+      });
+    }, TIMING.collapseStatePersistMs);
+  }
+
+  /**
+   * Records a user toggle for a message, code block, assistant message or content element and schedules persisting it.
+   * @param {"messages"|"codeBlocks"|"assistantMessages"|"contentBlocks"} kind
+   * @param {string} key
+   * @param {boolean} collapsed
+   */
+  function setStoredCollapsed(kind, key, collapsed) {
+    COLLAPSE_STATE[kind].set(key, collapsed);
+    schedulePersistCollapseState();
+  }
+
+  /**
+   * Makes sure COLLAPSE_STATE belongs to the current conversation.
+   * On a conversation switch, pending writes for the previous one are flushed and the stored state is loaded.
+   * @returns {Promise<void>}
+   */
+  function ensureCollapseStateLoaded() {
+    const conversationId = getConversationId();
+
+    if (conversationId === COLLAPSE_STATE.conversationId) {
+      return COLLAPSE_STATE.loading || Promise.resolve();
+    }
+
+    if (persistCollapseTimer !== null) {
+      persistCollapseState().catch((error) => {
+        console.error("[ChatGPT UI Trimmer] persistCollapseState failed:", error);
+      });
+    }
+
+    COLLAPSE_STATE.conversationId = conversationId;
+    COLLAPSE_STATE.messages = new Map();
+    COLLAPSE_STATE.codeBlocks = new Map();
+    COLLAPSE_STATE.assistantMessages = new Map();
+    COLLAPSE_STATE.contentBlocks = new Map();
+    COLLAPSE_STATE.pinnedTurns = new Set();
+
+    if (!conversationId) {
+      COLLAPSE_STATE.loading = null;
+      return Promise.resolve();
+    }
+
+    COLLAPSE_STATE.loading = loadStoredCollapseState(conversationId).then((stored) => {
+      if (!stored || COLLAPSE_STATE.conversationId !== conversationId) {
+        return;
+      }
+
+      for (const [key, collapsed] of Object.entries(stored.messages || {})) {
+        COLLAPSE_STATE.messages.set(key, collapsed === true);
+      }
+
+      for (const [key, collapsed] of Object.entries(stored.codeBlocks || {})) {
+        COLLAPSE_STATE.codeBlocks.set(key, collapsed === true);
+      }
+
+      for (const [key, collapsed] of Object.entries(stored.assistantMessages || {})) {
+        COLLAPSE_STATE.assistantMessages.set(key, collapsed === true);
+      }
+
+      for (const [key, collapsed] of Object.entries(stored.contentBlocks || {})) {
+        COLLAPSE_STATE.contentBlocks.set(key, collapsed === true);
+      }
+
+      if (Array.isArray(stored.pinnedTurns)) {
+        for (const turnKey of stored.pinnedTurns) {
+          COLLAPSE_STATE.pinnedTurns.add(String(turnKey));
+        }
+      }
+
+      // Refresh the last use of conversations that are visited again; the state itself is unchanged.
+      touchCollapseState(conversationId).catch((error) => {
+        console.error("[ChatGPT UI Trimmer] touchCollapseState failed:", error);
+      });
+    });
+
+    return COLLAPSE_STATE.loading;
+  }
+
+  /**
+   * Clamp visible turn count to a sane range.
+   * @param {unknown} value
+   * @returns {number}
+   */
+  function clampKeepLastN(value) {
+    const parsed = Number.parseInt(String(value), 10);
+
+    if (!Number.isFinite(parsed)) {
+      return DEFAULT_SETTINGS.keepLastN;
+    }
+
+    return Math.min(LIMITS.maxKeepLastN, Math.max(LIMITS.minKeepLastN, parsed));
+  }
+
+  /**
+   * Clamp the always-visible first turn count to a sane range.
+   * @param {unknown} value
+   * @returns {number}
+   */
+  function clampKeepFirstN(value) {
+    const parsed = Number.parseInt(String(value), 10);
+
+    if (!Number.isFinite(parsed)) {
+      return DEFAULT_SETTINGS.keepFirstN;
+    }
+
+    return Math.min(LIMITS.maxKeepFirstN, Math.max(LIMITS.minKeepFirstN, parsed));
+  }
+
+  /**
+   * Clamp the page element budget of the auto mode to a sane range.
+   * @param {unknown} value
+   * @returns {number}
+   */
+  function clampAutoElementBudget(value) {
+    const parsed = Number.parseInt(String(value), 10);
+
+    if (!Number.isFinite(parsed)) {
+      return DEFAULT_SETTINGS.autoElementBudget;
+    }
+
+    return Math.min(LIMITS.maxAutoElementBudget, Math.max(LIMITS.minAutoElementBudget, parsed));
+  }
+
+  /**
+   * Clamp the minimum visible turn count of the auto mode to the range of keepLastN.
+   * @param {unknown} value
+   * @returns {number}
+   */
+  function clampAutoMinKeepLastN(value) {
+    const parsed = Number.parseInt(String(value), 10);
+
+    if (!Number.isFinite(parsed)) {
+      return DEFAULT_SETTINGS.autoMinKeepLastN;
+    }
+
+    return Math.min(LIMITS.maxKeepLastN, Math.max(LIMITS.minKeepLastN, parsed));
+  }
+
+  /**
+   * Clamp the height (in pixels) above which assistant messages are clamped.
+   * @param {unknown} value
+   * @returns {number}
+   */
+  function clampAssistantCollapseHeight(value) {
+    const parsed = Number.parseInt(String(value), 10);
+
+    if (!Number.isFinite(parsed)) {
+      return DEFAULT_SETTINGS.assistantCollapseHeight;
+    }
+
+    return Math.min(LIMITS.maxAssistantCollapseHeight, Math.max(LIMITS.minAssistantCollapseHeight, parsed));
+  }
+
+  /**
+   * Injects extension CSS once.
+   */
+  function ensureStyleTag() {
+    if (document.getElementById(IDS.styleTag)) {
+      return;
+    }
+
+    const style = document.createElement("style");
+    style.id = IDS.styleTag;
+    style.textContent = `
+      .${CLASSES.hiddenTurn} {
+        display: none !important;
+      }
+
+      .${CLASSES.detachedPlaceholder} {
+        display: none !important;
+      }
+
+      #${IDS.banner} {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px 8px;
+        margin: 8px auto 12px auto;
+        padding: 8px 12px;
+        max-width: 48rem;
+        border-radius: 10px;
+        border: 1px solid rgba(127, 127, 127, 0.35);
+        background: rgba(127, 127, 127, 0.08);
+        color: inherit;
+        font-size: 12px;
+        line-height: 1.35;
+        opacity: 0.9;
+      }
+
+      #${IDS.banner}.${CLASSES.bannerSeparator} {
+        border-style: dashed;
+        justify-content: center;
+        text-align: center;
+      }
+
+      .${CLASSES.bannerText} {
+        flex: 1 1 auto;
+      }
+
+      .${CLASSES.bannerButton} {
+        padding: 3px 8px;
+        border-radius: 8px;
+        border: 1px solid rgba(127, 127, 127, 0.35);
+        background: rgba(127, 127, 127, 0.08);
+        color: inherit;
+        font-size: 11px;
+        line-height: 1.2;
+        cursor: pointer;
+      }
+
+      .${CLASSES.bannerButton}:hover {
+        background: rgba(127, 127, 127, 0.14);
+      }
+
+      .${CLASSES.bannerButton}[hidden] {
+        display: none;
+      }
+
+      .${CLASSES.messageToggle},
+      .${CLASSES.assistantToggle},
+      .${CLASSES.contentToggle},
+      .${CLASSES.codeToggle},
+      .${CLASSES.codeTool} {
+        display: inline-flex;
+        align-items: center;
+        gap: 6px;
+        margin: 4px 0 6px 0;
+        padding: 4px 8px;
+        border-radius: 8px;
+        border: 1px solid rgba(127, 127, 127, 0.35);
+        background: rgba(127, 127, 127, 0.08);
+        color: inherit;
+        font-size: 11px;
+        line-height: 1.2;
+        cursor: pointer;
+        user-select: none;
+      }
+
+      .${CLASSES.messageToggle}:hover,
+      .${CLASSES.assistantToggle}:hover,
+      .${CLASSES.contentToggle}:hover,
+      .${CLASSES.codeToggle}:hover,
+      .${CLASSES.codeTool}:hover {
+        background: rgba(127, 127, 127, 0.14);
+      }
+
+      .${CLASSES.messageToggle},
+      .${CLASSES.assistantToggle},
+      .${CLASSES.contentToggle},
+      .${CLASSES.codeToggle} {
+        max-width: 100%;
+        box-sizing: border-box;
+      }
+
+      .${CLASSES.toggleLabel} {
+        flex: 0 0 auto;
+      }
+
+      .${CLASSES.togglePreview} {
+        min-width: 0;
+        overflow: hidden;
+        white-space: nowrap;
+        text-overflow: ellipsis;
+        opacity: 0.7;
+      }
+
+      .${CLASSES.togglePreview}:empty {
+        display: none;
+      }
+
+      .${CLASSES.codeToggle} .${CLASSES.togglePreview} {
+        font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+      }
+
+      .${CLASSES.codeToolbar} {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+        margin: 4px 0 6px 0;
+      }
+
+      .${CLASSES.codeToolbar} .${CLASSES.codeToggle},
+      .${CLASSES.codeToolbar} .${CLASSES.codeTool} {
+        margin: 0;
+      }
+
+      .${CLASSES.codeToolbar} .${CLASSES.codeToggle} {
+        min-width: 0;
+      }
+
+      .${CLASSES.codeTool} {
+        flex: 0 0 auto;
+      }
+
+      .${CLASSES.codeTool}[aria-pressed="true"] {
+        border-color: rgba(59, 130, 246, 0.7);
+        background: rgba(59, 130, 246, 0.12);
+      }
+
+      .${CLASSES.wrappedCode},
+      .${CLASSES.wrappedCode} code {
+        white-space: pre-wrap !important;
+        overflow-wrap: anywhere !important;
+      }
+
+      .${CLASSES.lineNumbersHost} {
+        display: flex !important;
+        align-items: flex-start;
+      }
+
+      .${CLASSES.lineNumbers} {
+        flex: 0 0 auto;
+        margin-right: 12px;
+        padding-right: 8px;
+        border-right: 1px solid rgba(127, 127, 127, 0.35);
+        text-align: right;
+        white-space: pre;
+        opacity: 0.5;
+        user-select: none;
+      }
+
+      .${CLASSES.pinToggle} {
+        display: inline-flex;
+        align-items: center;
+        margin: 4px 6px 6px 0;
+        padding: 4px 8px;
+        border-radius: 8px;
+        border: 1px solid rgba(127, 127, 127, 0.35);
+        background: rgba(127, 127, 127, 0.08);
+        color: inherit;
+        font-size: 11px;
+        line-height: 1.2;
+        cursor: pointer;
+        user-select: none;
+        opacity: 0.6;
+      }
+
+      .${CLASSES.pinToggle}:hover {
+        background: rgba(127, 127, 127, 0.14);
+        opacity: 1;
+      }
+
+      .${CLASSES.pinToggle}[aria-pressed="true"] {
+        border-color: rgba(59, 130, 246, 0.7);
+        background: rgba(59, 130, 246, 0.15);
+        opacity: 1;
+      }
+
+      .${CLASSES.pinnedTurn} {
+        box-shadow: inset 3px 0 0 rgba(59, 130, 246, 0.7);
+      }
+
+      .${CLASSES.flashTurn} {
+        outline: 2px solid rgba(59, 130, 246, 0.7);
+        outline-offset: 4px;
+        border-radius: 8px;
+      }
+
+      .${CLASSES.navigationFocus} {
+        outline: 3px solid rgba(59, 130, 246, 0.9) !important;
+        outline-offset: 4px;
+        border-radius: 8px;
+        scroll-margin-top: 72px;
+      }
+
+      #${IDS.banner} button:focus-visible,
+      #${IDS.outline} button:focus-visible,
+      .${CLASSES.messageToggle}:focus-visible,
+      .${CLASSES.assistantToggle}:focus-visible,
+      .${CLASSES.contentToggle}:focus-visible,
+      .${CLASSES.codeToggle}:focus-visible,
+      .${CLASSES.codeTool}:focus-visible,
+      .${CLASSES.pinToggle}:focus-visible {
+        outline: 2px solid rgba(59, 130, 246, 0.9);
+        outline-offset: 2px;
+      }
+
+      #${IDS.outline} {
+        position: fixed;
+        top: 72px;
+        right: 12px;
+        z-index: 2147483000;
+        display: flex;
+        flex-direction: column;
+        align-items: flex-end;
+        max-width: 300px;
+        font-size: 12px;
+        line-height: 1.35;
+        color: inherit;
+      }
+
+      .${CLASSES.outlineToggle} {
+        padding: 4px 10px;
+        border-radius: 8px;
+        border: 1px solid rgba(127, 127, 127, 0.35);
+        background: Canvas;
+        color: CanvasText;
+        font-size: 11px;
+        cursor: pointer;
+      }
+
+      #${IDS.outlineList} {
+        margin: 6px 0 0 0;
+        padding: 4px;
+        width: 300px;
+        max-height: 60vh;
+        overflow-y: auto;
+        list-style: none;
+        border-radius: 10px;
+        border: 1px solid rgba(127, 127, 127, 0.35);
+        background: Canvas;
+        color: CanvasText;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+      }
+
+      #${IDS.outlineList}[hidden] {
+        display: none;
+      }
+
+      .${CLASSES.outlineItem} {
+        display: block;
+        width: 100%;
+        padding: 4px 6px;
+        border: 0;
+        border-left: 3px solid transparent;
+        border-radius: 4px;
+        background: transparent;
+        color: inherit;
+        font-size: 11px;
+        text-align: left;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        cursor: pointer;
+        opacity: 0.6;
+      }
+
+      .${CLASSES.outlineItem}:hover {
+        background: rgba(127, 127, 127, 0.14);
+        opacity: 1;
+      }
+
+      .${CLASSES.outlineItemVisible} {
+        border-left-color: rgba(59, 130, 246, 0.7);
+        background: rgba(59, 130, 246, 0.08);
+        opacity: 1;
+      }
+
+      .${CLASSES.collapsedUserMessage}:not(.${CLASSES.searchReveal}) {
+        display: none !important;
+      }
+
+      .${CLASSES.collapsedContent}:not(.${CLASSES.searchReveal}) {
+        display: none !important;
+      }
+
+      /* Clamped answers keep their first lines and fade out towards the "Read more" toggle. */
+      .${CLASSES.collapsedAssistantMessage}:not(.${CLASSES.searchReveal}) {
+        max-height: ${LIMITS.assistantClampHeight}px !important;
+        overflow: hidden !important;
+        -webkit-mask-image: linear-gradient(to bottom, #000 calc(100% - ${LIMITS.assistantFadeHeight}px), transparent);
+        mask-image: linear-gradient(to bottom, #000 calc(100% - ${LIMITS.assistantFadeHeight}px), transparent);
+      }
+
+      /* Code blocks with a header (language label, copy button) keep the header; only the code is hidden. */
+      .${CLASSES.collapsedCodeBlock}:not(.${CLASSES.searchReveal}):not(:has(button)) {
+        display: none !important;
+      }
+
+      .${CLASSES.collapsedCodeBlock}:not(.${CLASSES.searchReveal}):has(button) :has(> code),
+      .${CLASSES.collapsedCodeBlock}:not(.${CLASSES.searchReveal}):has(button) > code {
+        display: none !important;
+      }
+
+      #${IDS.search} {
+        position: fixed;
+        top: 12px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 2147483001;
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 6px 8px;
+        border-radius: 10px;
+        border: 1px solid rgba(127, 127, 127, 0.35);
+        background: Canvas;
+        color: CanvasText;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+        font-size: 12px;
+      }
+
+      .${CLASSES.searchInput} {
+        width: 220px;
+        padding: 4px 6px;
+        border-radius: 6px;
+        border: 1px solid rgba(127, 127, 127, 0.35);
+        background: Canvas;
+        color: CanvasText;
+        font-size: 12px;
+      }
+
+      .${CLASSES.searchCount} {
+        min-width: 48px;
+        text-align: center;
+        opacity: 0.8;
+      }
+
+      .${CLASSES.searchButton} {
+        padding: 2px 8px;
+        border-radius: 6px;
+        border: 1px solid rgba(127, 127, 127, 0.35);
+        background: rgba(127, 127, 127, 0.08);
+        color: inherit;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      ::highlight(${HIGHLIGHTS.searchMatch}) {
+        background-color: rgba(250, 204, 21, 0.45);
+      }
+
+      ::highlight(${HIGHLIGHTS.searchCurrent}) {
+        background-color: rgba(249, 115, 22, 0.8);
+        color: black;
+      }
+
+    `;
+
+    document.documentElement.appendChild(style);
+  }
+
+  /**
+   * Creates or updates the style tag hiding the chosen page parts and custom selectors.
+   * Kept apart from the main style tag because settings and selector overrides change it at runtime.
+   * @param {TrimmerSettings} settings
+   */
+  function updateMinimalUiStyleTag(settings) {
+    let style = document.getElementById(IDS.minimalUiStyleTag);
+
+    if (!style) {
+      style = document.createElement("style");
+      style.id = IDS.minimalUiStyleTag;
+      document.documentElement.appendChild(style);
+    }
+
+    setTextIfChanged(style, getMinimalUiCss(settings));
+  }
+
+  /**
+   * Returns whether a CSS text is exactly one rule the browser can parse.
+   * A selector such as "div:not(.a" passes querySelector (isValidSelector) but leaves a bracket open, which would
+   * swallow the rules after it in the style tag. In a single rule the open bracket swallows the rule's own block,
+   * so insertRule rejects it, as well as open strings, open comments and extra rules.
+   * @param {string} rule
+   * @returns {boolean}
+   */
+  function isValidCssRule(rule) {
+    try {
+      new CSSStyleSheet().insertRule(rule);
+      return true;
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  /**
+   * Returns the CSS rules hiding the chosen page parts of the site and the user's custom selectors.
+   * Custom selectors must pass isValidSelector (no stray braces) and each rule is checked on its own
+   * (isValidCssRule). Only valid rules are written, so one typo cannot break the other rules. Selectors are written as they are, not wrapped in :is(), because :is() rejects
+   * pseudo-elements such as ".banner::after".
+   * @param {TrimmerSettings} settings
+   * @returns {string}
+   */
+  function getMinimalUiCss(settings) {
+    const selectors = [
+      ...settings.hiddenUiParts.map((name) => siteAdapter.minimalUiTargets[name]).filter(Boolean),
+      ...settings.customHiddenSelectors.filter(isValidSelector)
+    ];
+    const rootCss =
+      settings.hiddenUiParts.includes("sidebar") && siteAdapter.minimalUiRootCss
+        ? `
+      html {
+        ${siteAdapter.minimalUiRootCss}
+      }`
+        : "";
+
+    return (
+      rootCss +
+      selectors
+        .map(
+          (selector) => `
+      ${selector} {
+        display: none !important;
+        width: 0 !important;
+        min-width: 0 !important;
+        border: 0 !important;
+      }`
+        )
+        .filter(isValidCssRule)
+        .join("\n")
+    );
+  }
+
+  /**
+   * Returns the thread root element of the site, if the adapter defines one and it exists.
+   * @returns {Element|null}
+   */
+  function getThreadRoot() {
+    return siteAdapter.selectors.threadRoot ? document.querySelector(siteAdapter.selectors.threadRoot) : null;
+  }
+
+  /**
+   * Returns the best available list of conversation turn elements.
+   * The adapter's turn selectors are tried in order until one matches.
+   * @returns {HTMLElement[]}
+   */
+  function getConversationTurns() {
+    let turns = [];
+
+    for (const selector of siteAdapter.selectors.turns) {
+      turns = Array.from(document.querySelectorAll(selector));
+      if (turns.length > 0) {
+        break;
+      }
+    }
+
+    const threadRoot = getThreadRoot();
+    if (threadRoot) {
+      turns = turns.filter((element) => threadRoot.contains(element));
+    }
+
+    return turns.filter((element) => element instanceof HTMLElement);
+  }
+
+  /**
+   * Finds a suitable parent container for the status banner.
+   * @param {HTMLElement[]} turns
+   * @returns {HTMLElement|null}
+   */
+  function getBannerHost(turns) {
+    if (turns.length > 0 && turns[0].parentElement) {
+      return turns[0].parentElement;
+    }
+
+    const threadRoot = getThreadRoot();
+    if (threadRoot instanceof HTMLElement) {
+      return threadRoot;
+    }
+
+    const mainRoot = document.querySelector(siteAdapter.selectors.mainRoot);
+    if (mainRoot instanceof HTMLElement) {
+      return mainRoot;
+    }
+
+    return document.body instanceof HTMLElement ? document.body : null;
+  }
+
+  /**
+   * Removes the status banner if present.
+   */
+  function removeBanner() {
+    const existing = document.getElementById(IDS.banner);
+    if (existing) {
+      existing.remove();
+    }
+  }
+
+  /**
+   * Writes the suspended state to sessionStorage, so it survives a reload of the same tab.
+   * sessionStorage can be unavailable (e.g. blocked storage), which is not fatal.
+   */
+  function storeSuspendState() {
+    try {
+      if (SUSPEND_STATE.suspended) {
+        window.sessionStorage.setItem(STORAGE_KEYS.suspendedConversation, SUSPEND_STATE.conversationId || "");
+      } else {
+        window.sessionStorage.removeItem(STORAGE_KEYS.suspendedConversation);
+      }
+    } catch (_error) {
+      // Keep the in-memory state only.
+    }
+  }
+
+  /**
+   * Restores the suspended state of this tab after a reload.
+   */
+  function restoreSuspendState() {
+    try {
+      const stored = window.sessionStorage.getItem(STORAGE_KEYS.suspendedConversation);
+
+      if (stored !== null) {
+        SUSPEND_STATE.suspended = true;
+        SUSPEND_STATE.conversationId = stored || null;
+      }
+    } catch (_error) {
+      // Keep the in-memory state only.
+    }
+  }
+
+  /**
+   * Returns whether trimming is suspended in this tab.
+   * Opening another conversation ends the suspended state.
+   * @returns {boolean}
+   */
+  function isSuspended() {
+    if (SUSPEND_STATE.suspended && SUSPEND_STATE.conversationId !== getConversationId()) {
+      SUSPEND_STATE.suspended = false;
+      SUSPEND_STATE.conversationId = null;
+      storeSuspendState();
+    }
+
+    return SUSPEND_STATE.suspended;
+  }
+
+  /**
+   * Suspends trimming and collapsing in this tab and shows all turns.
+   * @returns {Promise<object>} Result of applyTrimming.
+   */
+  function suspendTrimming() {
+    SUSPEND_STATE.suspended = true;
+    SUSPEND_STATE.conversationId = getConversationId();
+    storeSuspendState();
+    return applyTrimming();
+  }
+
+  /**
+   * Ends the suspended state and trims the conversation again.
+   * @returns {Promise<object>} Result of applyTrimming.
+   */
+  function resumeTrimming() {
+    SUSPEND_STATE.suspended = false;
+    SUSPEND_STATE.conversationId = null;
+    clearRevealedTurns();
+    storeSuspendState();
+    return applyTrimming();
+  }
+
+  /**
+   * Changes keepLastN by a step in the scope the current conversation uses (its overrides or the global settings).
+   * @param {number} delta
+   * @returns {Promise<object>} Result of applyTrimming.
+   */
+  async function adjustKeepLastN(delta) {
+    const settings = await getSettings();
+    const keepLastN = clampKeepLastN(settings.keepLastN + delta);
+    const conversationId = getConversationId();
+
+    if (settings.scope === SCOPES.conversation && conversationId) {
+      const override = Object.fromEntries(OVERRIDABLE_SETTING_KEYS.map((key) => [key, settings[key]]));
+      await writeConversationOverride(conversationId, { ...override, keepLastN });
+      clearSettingsCache();
+    } else {
+      await saveSettings({ keepLastN });
+    }
+
+    return applyTrimming();
+  }
+
+  /**
+   * Runs one keyboard shortcut command.
+   * @param {string} command Value from COMMANDS.
+   * @returns {Promise<object>} Result of applyTrimming.
+   */
+  async function runCommand(command) {
+    await ensureCollapseStateLoaded();
+
+    switch (command) {
+      case COMMANDS.toggleTrimming:
+        return isSuspended() ? resumeTrimming() : suspendTrimming();
+      case COMMANDS.showAll:
+        return suspendTrimming();
+      case COMMANDS.increaseKeepLastN:
+        return adjustKeepLastN(LIMITS.keepLastNStep);
+      case COMMANDS.decreaseKeepLastN:
+        return adjustKeepLastN(-LIMITS.keepLastNStep);
+      case COMMANDS.collapseAllMessages:
+        setAllCollapsed("messages", true);
+        return applyTrimming();
+      case COMMANDS.expandAllMessages:
+        setAllCollapsed("messages", false);
+        return applyTrimming();
+      case COMMANDS.collapseAllCode:
+        setAllCollapsed("codeBlocks", true);
+        return applyTrimming();
+      case COMMANDS.expandAllCode:
+        setAllCollapsed("codeBlocks", false);
+        return applyTrimming();
+      case COMMANDS.openSearch:
+        openSearch();
+        return applyTrimming();
+      default:
+        throw new Error(`Unknown command: ${command}`);
+    }
+  }
+
+  /**
+   * Resets the revealed window when the user switches to another conversation.
+   */
+  function ensureViewStateForConversation() {
+    const conversationId = getConversationId();
+
+    if (conversationId !== VIEW_STATE.conversationId) {
+      VIEW_STATE.conversationId = conversationId;
+      clearRevealedTurns();
+    }
+  }
+
+  /**
+   * Returns the index of the first visible turn.
+   * Without revealed turns this is the first of the last N turns; otherwise it is the anchored turn.
+   * @param {HTMLElement[]} turns
+   * @param {number} trimmedCount Number of turns outside the last N.
+   * @returns {number}
+   */
+  function resolveFirstVisibleIndex(turns, trimmedCount) {
+    if (!VIEW_STATE.revealFromKey) {
+      return trimmedCount;
+    }
+
+    for (let index = 0; index < trimmedCount; index += 1) {
+      if (getTurnKey(turns[index], index) === VIEW_STATE.revealFromKey) {
+        return index;
+      }
+    }
+
+    return trimmedCount;
+  }
+
+  /**
+   * Moves the start of the revealed window back by LIMITS.revealStep turns, or to the first turn.
+   * Does not change the saved keepLastN.
+   * @param {boolean} revealAll
+   */
+  function revealOlderTurns(revealAll) {
+    const turns = getConversationTurns();
+    let lastHiddenIndex = -1;
+
+    for (let index = 0; index < turns.length; index += 1) {
+      if (turns[index].classList.contains(CLASSES.hiddenTurn)) {
+        lastHiddenIndex = index;
+      }
+    }
+
+    // The turn after the last hidden one starts the visible window (first N turns and pinned turns are skipped).
+    const firstVisibleIndex = lastHiddenIndex + 1;
+
+    if (firstVisibleIndex <= 0 || firstVisibleIndex >= turns.length) {
+      return;
+    }
+
+    const nextIndex = revealAll ? 0 : Math.max(0, firstVisibleIndex - LIMITS.revealStep);
+
+    VIEW_STATE.conversationId = getConversationId();
+    VIEW_STATE.revealFromKey = getTurnKey(turns[nextIndex], nextIndex);
+    scheduleApply(0);
+  }
+
+  /**
+   * Forgets all older turns revealed from the banner or the outline.
+   */
+  function clearRevealedTurns() {
+    VIEW_STATE.revealFromKey = null;
+    VIEW_STATE.revealedTurnKeys.clear();
+  }
+
+  /**
+   * Drops revealed older turns, so only the last N turns stay visible again.
+   */
+  function retrimTurns() {
+    clearRevealedTurns();
+    scheduleApply(0);
+  }
+
+  /**
+   * Handles clicks on the banner buttons.
+   * @param {MouseEvent} event
+   */
+  function handleBannerClick(event) {
+    const target = event.target;
+    if (!(target instanceof Element)) {
+      return;
+    }
+
+    const button = target.closest(`button.${CLASSES.bannerButton}`);
+    if (!button) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const action = button.getAttribute(ATTRS.bannerAction);
+
+    if (action === BANNER_ACTIONS.showMore) {
+      revealOlderTurns(false);
+    } else if (action === BANNER_ACTIONS.showAll) {
+      revealOlderTurns(true);
+    } else if (action === BANNER_ACTIONS.retrim) {
+      retrimTurns();
+    } else if (action === BANNER_ACTIONS.resume) {
+      resumeTrimming().catch((error) => {
+        console.error("[ChatGPT UI Trimmer] resumeTrimming failed:", error);
+      });
+    }
+  }
+
+  /**
+   * Creates one banner button.
+   * @param {string} action
+   * @param {string} label
+   * @returns {HTMLButtonElement}
+   */
+  function createBannerButton(action, label) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = CLASSES.bannerButton;
+    button.setAttribute(ATTRS.bannerAction, action);
+    button.textContent = label;
+    return button;
+  }
+
+  /**
+   * Creates the banner element with its text and controls.
+   * @returns {HTMLElement}
+   */
+  function createBanner() {
+    const banner = document.createElement("div");
+    banner.id = IDS.banner;
+
+    banner.setAttribute("role", "region");
+    banner.setAttribute("aria-label", LABELS.bannerRegion);
+
+    const text = document.createElement("span");
+    text.className = CLASSES.bannerText;
+    text.setAttribute("role", "status");
+    text.setAttribute("aria-live", "polite");
+
+    banner.append(
+      text,
+      createBannerButton(BANNER_ACTIONS.showMore, LABELS.showMoreTurns),
+      createBannerButton(BANNER_ACTIONS.showAll, LABELS.showAllTurns),
+      createBannerButton(BANNER_ACTIONS.retrim, LABELS.retrim),
+      createBannerButton(BANNER_ACTIONS.resume, LABELS.resume)
+    );
+
+    banner.addEventListener("click", handleBannerClick);
+    return banner;
+  }
+
+  /**
+   * Sets the text of an element only when it changed.
+   * Rewriting identical text would trigger the MutationObserver and another apply.
+   * @param {Element} element
+   * @param {string} text
+   */
+  function setTextIfChanged(element, text) {
+    if (element.textContent !== text) {
+      element.textContent = text;
+    }
+  }
+
+  /**
+   * Creates the banner if needed, places it and sets its text and visible buttons.
+   * @param {HTMLElement[]} turns
+   * @param {string} text
+   * @param {string[]} visibleActions Values from BANNER_ACTIONS whose buttons are shown.
+   * @param {number} anchorIndex Index of the turn the banner is placed before.
+   * @param {boolean} separator Whether the banner is an inline separator between visible turns.
+   */
+  function renderBanner(turns, text, visibleActions, anchorIndex = 0, separator = false) {
+    const anchor = turns[anchorIndex] || turns[0] || null;
+    const host = anchor && anchor.parentElement ? anchor.parentElement : getBannerHost(turns);
+    if (!host) {
+      return;
+    }
+
+    let banner = document.getElementById(IDS.banner);
+    if (!banner) {
+      banner = createBanner();
+    }
+
+    if (anchor && anchor.parentElement === host) {
+      if (banner.parentElement !== host || banner.nextSibling !== anchor) {
+        host.insertBefore(banner, anchor);
+      }
+    } else if (banner.parentElement !== host) {
+      host.prepend(banner);
+    }
+
+    banner.classList.toggle(CLASSES.bannerSeparator, separator);
+
+    const textNode = banner.querySelector(`.${CLASSES.bannerText}`);
+    if (textNode) {
+      setTextIfChanged(textNode, text);
+    }
+
+    for (const button of banner.querySelectorAll(`button.${CLASSES.bannerButton}`)) {
+      const visible = visibleActions.includes(button.getAttribute(ATTRS.bannerAction) || "");
+
+      if (button.hidden === visible) {
+        button.hidden = !visible;
+      }
+    }
+  }
+
+  /**
+   * Updates or creates the small banner that shows trim status and paging controls.
+   * With keepFirstN, the banner becomes a separator between the first N turns and the rest.
+   * @param {HTMLElement[]} turns
+   * @param {{hiddenCount:number, totalCount:number, keepLastN:number, keepFirstN:number, gapIndex:number, revealedCount:number, pinnedCount:number, autoReason:string}} counts
+   *   gapIndex is the index of the first turn after the always-visible first turns.
+   *   revealedCount counts older turns revealed from the banner, pinnedCount older turns kept visible by a pin.
+   */
+  function updateBanner(turns, counts) {
+    const { hiddenCount, totalCount, keepLastN, keepFirstN, gapIndex, revealedCount, pinnedCount, autoReason } = counts;
+
+    if (hiddenCount <= 0 && revealedCount <= 0) {
+      removeBanner();
+      return;
+    }
+
+    const separator = keepFirstN > 0 && gapIndex > 0;
+    let text = `${hiddenCount} older messages hidden. Showing the last ${keepLastN} turns (${totalCount} total).`;
+
+    if (separator) {
+      text = `${hiddenCount} turns hidden between the first ${gapIndex} and the last ${keepLastN} turns (${totalCount} total).`;
+    }
+
+    if (revealedCount > 0 && hiddenCount > 0) {
+      text = separator
+        ? `${hiddenCount} turns hidden. Showing the first ${gapIndex}, the last ${keepLastN} and ${revealedCount} more (${totalCount} total).`
+        : `${hiddenCount} older messages hidden. Showing the last ${keepLastN} turns plus ${revealedCount} older (${totalCount} total).`;
+    } else if (revealedCount > 0) {
+      text = `All ${totalCount} turns shown.`;
+    }
+
+    if (pinnedCount > 0 && hiddenCount > 0) {
+      text += ` ${pinnedCount} pinned older ${pinnedCount === 1 ? "turn stays" : "turns stay"} visible.`;
+    }
+
+    if (autoReason) {
+      text += ` Auto: ${autoReason}.`;
+    }
+
+    const visibleActions = [];
+
+    if (hiddenCount > 0) {
+      visibleActions.push(BANNER_ACTIONS.showMore, BANNER_ACTIONS.showAll);
+    }
+
+    if (revealedCount > 0) {
+      visibleActions.push(BANNER_ACTIONS.retrim);
+    }
+
+    renderBanner(turns, text, visibleActions, gapIndex, separator);
+  }
+
+  /**
+   * Shows the banner for a suspended tab, with a button to resume trimming.
+   * @param {number} totalCount
+   * @param {HTMLElement[]} turns
+   */
+  function updateSuspendedBanner(totalCount, turns) {
+    renderBanner(
+      turns,
+      `Trimming paused in this tab. All ${totalCount} turns shown.`,
+      [BANNER_ACTIONS.resume]
+    );
+  }
+
+  /**
+   * Returns the node that holds the content of a turn: the turn itself, or its detached fragment.
+   * @param {HTMLElement} turn
+   * @returns {ParentNode}
+   */
+  function getTurnContentRoot(turn) {
+    return DETACHED_TURNS.get(turn) || turn;
+  }
+
+  /**
+   * Returns the author role of a turn ("user" or "assistant") or an empty string.
+   * @param {HTMLElement} turn
+   * @returns {string}
+   */
+  function getTurnRole(turn) {
+    const { userRole, assistantRole } = siteAdapter.selectors;
+
+    if (turn.matches(userRole) || getTurnContentRoot(turn).querySelector(userRole)) {
+      return "user";
+    }
+
+    if (turn.matches(assistantRole) || getTurnContentRoot(turn).querySelector(assistantRole)) {
+      return "assistant";
+    }
+
+    return "";
+  }
+
+  /**
+   * Returns a short one-line preview of the text of a turn (first text block, shortened).
+   * @param {HTMLElement} turn
+   * @returns {string}
+   */
+  function getTurnPreview(turn) {
+    const content = getTurnContentRoot(turn);
+    const messageNode = content.querySelector(siteAdapter.selectors.messageContent) || content;
+    let text = "";
+
+    for (const block of messageNode.querySelectorAll(SELECTORS.previewBlocks)) {
+      text = (block.textContent || "").trim();
+      if (text) {
+        break;
+      }
+    }
+
+    if (!text) {
+      text = (messageNode.textContent || "").trim();
+    }
+
+    text = text.replace(/\s+/g, " ");
+
+    if (text.length > LIMITS.outlinePreviewLength) {
+      text = `${text.slice(0, LIMITS.outlinePreviewLength - 1)}…`;
+    }
+
+    return text || LABELS.emptyPreview;
+  }
+
+  /**
+   * Returns the label of a role for the outline.
+   * @param {string} role
+   * @returns {string}
+   */
+  function getRoleLabel(role) {
+    if (role === "user") {
+      return LABELS.roleUser;
+    }
+
+    if (role === "assistant") {
+      return siteAdapter.assistantLabel;
+    }
+
+    return LABELS.roleUnknown;
+  }
+
+  /**
+   * Reveals one turn (even if hidden by trimming), expands its collapsed content and scrolls to it.
+   * Revealed turns stay visible until "Re-trim", "Apply" or another conversation.
+   * @param {string} turnKey
+   * @returns {Promise<void>}
+   */
+  async function revealTurn(turnKey) {
+    let turns = getConversationTurns();
+    let index = turns.findIndex((turn, turnIndex) => getTurnKey(turn, turnIndex) === turnKey);
+
+    if (index < 0) {
+      return;
+    }
+
+    VIEW_STATE.conversationId = getConversationId();
+
+    if (turns[index].classList.contains(CLASSES.hiddenTurn)) {
+      VIEW_STATE.revealedTurnKeys.add(turnKey);
+    }
+
+    await ensureCollapseStateLoaded();
+
+    const role = getTurnRole(turns[index]);
+    if (role === "user") {
+      COLLAPSE_STATE.messages.set(getMessageKeyForTurnKey(turnKey), false);
+    } else if (role === "assistant") {
+      COLLAPSE_STATE.assistantMessages.set(getAssistantMessageKeyForTurnKey(turnKey), false);
+    }
+
+    for (const key of COLLAPSE_STATE.codeBlocks.keys()) {
+      if (key.startsWith(`${turnKey}::`)) {
+        COLLAPSE_STATE.codeBlocks.set(key, false);
+      }
+    }
+
+    schedulePersistCollapseState();
+    await applyTrimming();
+
+    // Expand code blocks that had no stored state yet (the auto-collapse rules may collapse them).
+    turns = getConversationTurns();
+    index = turns.findIndex((turn, turnIndex) => getTurnKey(turn, turnIndex) === turnKey);
+    if (index < 0) {
+      return;
+    }
+
+    const turn = turns[index];
+    const codeCount = turn.querySelectorAll(siteAdapter.selectors.codeBlocks).length;
+    let expandedCode = false;
+
+    for (let codeIndex = 0; codeIndex < codeCount; codeIndex += 1) {
+      const codeKey = getCodeKey(turnKey, codeIndex);
+      if (COLLAPSE_STATE.codeBlocks.get(codeKey) !== false) {
+        COLLAPSE_STATE.codeBlocks.set(codeKey, false);
+        expandedCode = true;
+      }
+    }
+
+    if (expandedCode) {
+      schedulePersistCollapseState();
+      await applyTrimming();
+    }
+
+    turn.scrollIntoView({ block: "start", behavior: "smooth" });
+    turn.classList.add(CLASSES.flashTurn);
+    window.setTimeout(() => turn.classList.remove(CLASSES.flashTurn), TIMING.flashTurnMs);
+  }
+
+  /**
+   * Creates the outline panel: a toggle button and the (initially collapsed) list of turns.
+   * @returns {HTMLElement}
+   */
+  function createOutline() {
+    const panel = document.createElement("nav");
+    panel.id = IDS.outline;
+    panel.setAttribute("aria-label", LABELS.outlineRegion);
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = CLASSES.outlineToggle;
+    toggle.setAttribute("aria-controls", IDS.outlineList);
+    toggle.setAttribute("aria-expanded", "false");
+    toggle.textContent = LABELS.outline;
+
+    const list = document.createElement("ol");
+    list.id = IDS.outlineList;
+    list.hidden = true;
+
+    toggle.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      VIEW_STATE.outlineOpen = !VIEW_STATE.outlineOpen;
+      VIEW_STATE.outlineSignature = "";
+      scheduleApply(0);
+    });
+
+    list.addEventListener("click", (event) => {
+      const target = event.target;
+      if (!(target instanceof Element)) {
+        return;
+      }
+
+      const item = target.closest(`button.${CLASSES.outlineItem}`);
+      const turnKey = item ? item.getAttribute(ATTRS.outlineTurnKey) : null;
+      if (!turnKey) {
+        return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      revealTurn(turnKey).catch((error) => {
+        console.error("[ChatGPT UI Trimmer] revealTurn failed:", error);
+      });
+    });
+
+    panel.append(toggle, list);
+    return panel;
+  }
+
+  /**
+   * Removes the outline panel if present.
+   */
+  function removeOutline() {
+    const existing = document.getElementById(IDS.outline);
+    if (existing) {
+      existing.remove();
+    }
+
+    VIEW_STATE.outlineSignature = "";
+  }
+
+  /**
+   * Updates or creates the outline panel.
+   * The list is only rebuilt when turns, their visibility or the open state changed.
+   * @param {HTMLElement[]} turns
+   * @param {boolean} enabled
+   */
+  function updateOutline(turns, enabled) {
+    if (!enabled || turns.length === 0) {
+      removeOutline();
+      return;
+    }
+
+    let panel = document.getElementById(IDS.outline);
+    if (!panel) {
+      panel = createOutline();
+      document.body.appendChild(panel);
+      VIEW_STATE.outlineSignature = "";
+    }
+
+    const toggle = panel.querySelector(`.${CLASSES.outlineToggle}`);
+    const list = panel.querySelector(`#${IDS.outlineList}`);
+    if (!toggle || !list) {
+      return;
+    }
+
+    const visibleCount = turns.filter((turn) => !turn.classList.contains(CLASSES.hiddenTurn)).length;
+    setTextIfChanged(toggle, `${LABELS.outline} (${visibleCount}/${turns.length})`);
+    toggle.setAttribute("aria-expanded", String(VIEW_STATE.outlineOpen));
+
+    if (list.hidden === VIEW_STATE.outlineOpen) {
+      list.hidden = !VIEW_STATE.outlineOpen;
+    }
+
+    if (!VIEW_STATE.outlineOpen) {
+      return;
+    }
+
+    const entries = turns.map((turn, index) => ({
+      key: getTurnKey(turn, index),
+      visible: !turn.classList.contains(CLASSES.hiddenTurn),
+      label: `#${index + 1} · ${getRoleLabel(getTurnRole(turn))} · ${getTurnPreview(turn)}`
+    }));
+
+    const signature = JSON.stringify(entries);
+    if (signature === VIEW_STATE.outlineSignature) {
+      return;
+    }
+
+    VIEW_STATE.outlineSignature = signature;
+
+    const fragment = document.createDocumentFragment();
+
+    for (const entry of entries) {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = CLASSES.outlineItem;
+      button.classList.toggle(CLASSES.outlineItemVisible, entry.visible);
+      button.setAttribute(ATTRS.outlineTurnKey, entry.key);
+      button.title = entry.label;
+      button.textContent = entry.label;
+
+      item.appendChild(button);
+      fragment.appendChild(item);
+    }
+
+    list.replaceChildren(fragment);
+  }
+
+  /**
+   * Returns the language of a code block from the language-* class of its code element.
+   * @param {Element} pre
+   * @returns {string}
+   */
+  function getCodeLanguage(pre) {
+    const code = pre.querySelector(SELECTORS.codeElement);
+    const match = code ? TEXT_PATTERNS.codeLanguageClass.exec(code.className) : null;
+    return match ? match[1].toLowerCase() : "";
+  }
+
+  /**
+   * Returns the code of a code block without the site's code header (language label, copy button).
+   * @param {Element} pre
+   * @returns {string}
+   */
+  function getCodeText(pre) {
+    const code = pre.querySelector(SELECTORS.codeElement) || pre;
+    return (code.textContent || "").replace(/\n$/, "");
+  }
+
+  /**
+   * Converts message DOM to Markdown, or to plain text when plain is true.
+   * Buttons, icons, screen-reader-only labels and the extension's own UI are skipped.
+   * @param {Node} node
+   * @param {boolean} plain
+   * @returns {string}
+   */
+  function convertNodeToText(node, plain) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return (node.nodeValue || "").replace(/\s+/g, " ");
+    }
+
+    if (!(node instanceof Element)) {
+      return node.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? convertChildrenToText(node, plain) : "";
+    }
+
+    if (node.matches(SELECTORS.exportSkip)) {
+      return "";
+    }
+
+    const tag = node.tagName.toLowerCase();
+    const inner = () => convertChildrenToText(node, plain);
+
+    switch (tag) {
+      case "pre": {
+        const code = getCodeText(node);
+        const fence = getMarkdownFence(code);
+        return plain ? `\n\n${code}\n\n` : `\n\n${fence}${getCodeLanguage(node)}\n${code}\n${fence}\n\n`;
+      }
+      case "br":
+        return "\n";
+      case "hr":
+        return plain ? "\n\n" : "\n\n---\n\n";
+      case "h1":
+      case "h2":
+      case "h3":
+      case "h4":
+      case "h5":
+      case "h6": {
+        // Turn headings use ##, so headings inside a message start one level below.
+        const level = Math.min(6, Number(tag.slice(1)) + 2);
+        return `\n\n${plain ? "" : `${"#".repeat(level)} `}${inner().trim()}\n\n`;
+      }
+      case "ul":
+      case "ol": {
+        const items = Array.from(node.children).filter((child) => child.tagName.toLowerCase() === "li");
+        const lines = items.map((item, index) => {
+          const marker = tag === "ol" ? `${index + 1}. ` : "- ";
+          const text = convertChildrenToText(item, plain).trim().replace(/\n{2,}/g, "\n");
+          return `${marker}${text.replace(/\n/g, `\n${" ".repeat(marker.length)}`)}`;
+        });
+        return `\n\n${lines.join("\n")}\n\n`;
+      }
+      case "blockquote": {
+        const text = inner().trim();
+        return `\n\n${plain ? text : text.replace(/^/gm, "> ")}\n\n`;
+      }
+      case "table": {
+        const rows = Array.from(node.querySelectorAll("tr")).map((row) =>
+          Array.from(row.children).map((cell) => convertChildrenToText(cell, plain).trim().replace(/\s*\n\s*/g, " "))
+        );
+        if (!rows.length) {
+          return "";
+        }
+        if (plain) {
+          return `\n\n${rows.map((cells) => cells.join("\t")).join("\n")}\n\n`;
+        }
+        const lines = rows.map((cells) => `| ${cells.map((cell) => cell.replace(/\|/g, "\\|")).join(" | ")} |`);
+        lines.splice(1, 0, `| ${rows[0].map(() => "---").join(" | ")} |`);
+        return `\n\n${lines.join("\n")}\n\n`;
+      }
+      case "code":
+        return plain ? node.textContent || "" : `\`${node.textContent || ""}\``;
+      case "strong":
+      case "b":
+        return plain ? inner() : `**${inner()}**`;
+      case "em":
+      case "i":
+        return plain ? inner() : `*${inner()}*`;
+      case "a": {
+        const href = node.getAttribute("href");
+        return plain || !href ? inner() : `[${inner()}](${href})`;
+      }
+      case "img": {
+        const alt = node.getAttribute("alt") || "";
+        return plain ? alt : `![${alt}](${node.getAttribute("src") || ""})`;
+      }
+      case "p":
+      case "div":
+      case "section":
+      case "article":
+        return `\n\n${inner()}\n\n`;
+      default:
+        return inner();
+    }
+  }
+
+  /**
+   * Returns a Markdown code fence longer than the longest run of backticks in the code (at least three),
+   * so backticks in the code cannot close the block early.
+   * @param {string} code
+   * @returns {string}
+   */
+  function getMarkdownFence(code) {
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+    return "`".repeat(Math.max(3, longestRun + 1));
+  }
+
+  /**
+   * Converts all children of a node (see convertNodeToText).
+   * @param {Node} node
+   * @param {boolean} plain
+   * @returns {string}
+   */
+  function convertChildrenToText(node, plain) {
+    return Array.from(node.childNodes)
+      .map((child) => convertNodeToText(child, plain))
+      .join("");
+  }
+
+  /**
+   * Trims surrounding whitespace of every line and collapses runs of blank lines.
+   * Lines inside fenced code blocks are kept as they are.
+   * @param {string} text
+   * @returns {string}
+   */
+  function tidyExportText(text) {
+    // Fence that opened the current code block (see getMarkdownFence), "" outside of code blocks.
+    let fence = "";
+    const lines = text.split("\n").map((line) => {
+      const lineFence = /^`{3,}/.exec(line);
+
+      if (!fence && lineFence) {
+        fence = lineFence[0];
+        return line;
+      }
+
+      if (fence) {
+        if (line === fence) {
+          fence = "";
+        }
+        return line;
+      }
+
+      return line.replace(/^ +| +$/g, "");
+    });
+
+    return lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+  }
+
+  /**
+   * Returns an absolute URL of a link target if its scheme is in EXPORT_LINK_PROTOCOLS, else null.
+   * Relative links are resolved against the page, so they still work in the exported file.
+   * @param {string|null} href
+   * @returns {string|null}
+   */
+  function getExportLinkUrl(href) {
+    if (!href) {
+      return null;
+    }
+
+    try {
+      const url = new URL(href, location.href);
+      return EXPORT_LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  /**
+   * Returns sanitized standalone HTML for one turn: only content elements and a few attributes are kept,
+   * code blocks are rebuilt as plain pre/code elements with their language.
+   * Opening the file loads nothing from the network: remote images become links to the image, src attributes of
+   * other elements are removed, and links keep only the schemes in EXPORT_LINK_PROTOCOLS.
+   * @param {Node} root
+   * @returns {string}
+   */
+  function getTurnExportHtml(root) {
+    const container = document.createElement("div");
+    container.appendChild(root.cloneNode(true));
+
+    for (const node of container.querySelectorAll(SELECTORS.exportSkip)) {
+      node.remove();
+    }
+
+    for (const pre of container.querySelectorAll(siteAdapter.selectors.codeBlocks)) {
+      const language = getCodeLanguage(pre);
+      const cleanPre = document.createElement("pre");
+      const code = document.createElement("code");
+      code.textContent = getCodeText(pre);
+      if (language) {
+        code.className = `language-${language}`;
+      }
+      cleanPre.appendChild(code);
+      pre.replaceWith(cleanPre);
+    }
+
+    for (const image of container.querySelectorAll("img")) {
+      if (/^\s*data:image\//i.test(image.getAttribute("src") || "")) {
+        continue;
+      }
+
+      const link = document.createElement("a");
+      const href = getExportLinkUrl(image.getAttribute("src"));
+      if (href) {
+        link.setAttribute("href", href);
+      }
+      link.textContent = formatLabel(LABELS.exportImageLink, {
+        name: (image.getAttribute("alt") || "").trim() || LABELS.exportImageName
+      });
+      image.replaceWith(link);
+    }
+
+    for (const element of container.querySelectorAll("*")) {
+      for (const attribute of Array.from(element.attributes)) {
+        const keepLanguage = attribute.name === "class" && element.tagName.toLowerCase() === "code";
+        if (!EXPORT_HTML_ATTRIBUTES.includes(attribute.name) && !keepLanguage) {
+          element.removeAttribute(attribute.name);
+        }
+      }
+
+      if (element.hasAttribute("src") && element.tagName.toLowerCase() !== "img") {
+        element.removeAttribute("src");
+      }
+
+      if (element.hasAttribute("href")) {
+        const href = getExportLinkUrl(element.getAttribute("href"));
+        if (href) {
+          element.setAttribute("href", href);
+        } else {
+          element.removeAttribute("href");
+        }
+      }
+    }
+
+    return container.innerHTML;
+  }
+
+  /**
+   * Escapes text for use in HTML.
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Selects the turns to export.
+   * The range is 1-based and inclusive (turn numbers as shown in the outline order).
+   * @param {string} range one of EXPORT_RANGES
+   * @param {number} from
+   * @param {number} to
+   * @returns {{turn:HTMLElement, index:number}[]}
+   */
+  function getExportTurns(range, from, to) {
+    const entries = getConversationTurns().map((turn, index) => ({ turn, index }));
+
+    if (range === EXPORT_RANGES.visible) {
+      return entries.filter(({ turn }) => !turn.classList.contains(CLASSES.hiddenTurn));
+    }
+
+    if (range === EXPORT_RANGES.range) {
+      const first = Math.max(1, Math.min(from, to));
+      const last = Math.max(from, to);
+      return entries.filter(({ index }) => index + 1 >= first && index + 1 <= last);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Builds the export data of one turn. Detached turns are read from their stored content.
+   * @param {HTMLElement} turn
+   * @param {number} index
+   * @returns {{number:number, turnKey:string, role:string, roleLabel:string, markdown:string, text:string, html:string, codeBlocks:{language:string, code:string}[]}}
+   */
+  function getTurnExportData(turn, index) {
+    const content = getTurnContentRoot(turn);
+    const role = getTurnRole(turn);
+
+    return {
+      number: index + 1,
+      turnKey: getTurnKey(turn, index),
+      role,
+      roleLabel: getRoleLabel(role),
+      markdown: tidyExportText(convertNodeToText(content, false)),
+      text: tidyExportText(convertNodeToText(content, true)),
+      html: getTurnExportHtml(content),
+      codeBlocks: Array.from(content.querySelectorAll(siteAdapter.selectors.codeBlocks)).map((pre) => ({
+        language: getCodeLanguage(pre),
+        code: getCodeText(pre)
+      }))
+    };
+  }
+
+  /**
+   * Renders exported turns in one of EXPORT_FORMATS.
+   * @param {string} format
+   * @param {ReturnType<typeof getTurnExportData>[]} turns
+   * @param {string} title
+   * @returns {string}
+   */
+  function renderExport(format, turns, title) {
+    if (format === EXPORT_FORMATS.json) {
+      const data = {
+        title,
+        url: location.href,
+        conversationId: getConversationId(),
+        exportedAt: new Date().toISOString(),
+        turns: turns.map((turn) => ({
+          number: turn.number,
+          turnKey: turn.turnKey,
+          role: turn.role,
+          text: turn.text,
+          codeBlocks: turn.codeBlocks
+        }))
+      };
+      return JSON.stringify(data, null, 2);
+    }
+
+    if (format === EXPORT_FORMATS.html) {
+      const sections = turns
+        .map(
+          (turn) =>
+            `<section class="turn turn-${escapeHtml(turn.role || "unknown")}">\n<h2>${escapeHtml(turn.roleLabel)}</h2>\n${turn.html}\n</section>`
+        )
+        .join("\n");
+
+      return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { max-width: 820px; margin: 24px auto; padding: 0 16px; font-family: system-ui, sans-serif; line-height: 1.5; }
+  .turn { border-top: 1px solid #ddd; padding: 8px 0 16px 0; }
+  .turn-user { background: #f6f7f9; padding-left: 12px; padding-right: 12px; }
+  h2 { font-size: 14px; text-transform: uppercase; opacity: 0.7; }
+  pre { background: #f3f4f6; padding: 12px; border-radius: 8px; overflow-x: auto; }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid #ddd; padding: 4px 8px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${sections}
+</body>
+</html>`;
+    }
+
+    const body = turns.map((turn) => `## ${turn.roleLabel}\n\n${turn.markdown}`).join("\n\n");
+    return `# ${title}\n\n${body}\n`;
+  }
+
+  /**
+   * Starts a local download of a text file.
+   * @param {string} fileName
+   * @param {string} content
+   * @param {string} mimeType
+   */
+  function downloadTextFile(fileName, content, mimeType) {
+    downloadBlob(fileName, new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  }
+
+  /**
+   * Starts a local download of a blob.
+   * @param {string} fileName
+   * @param {Blob} blob
+   */
+  function downloadBlob(fileName, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoke later: the download may start asynchronously.
+    window.setTimeout(() => URL.revokeObjectURL(url), TIMING.exportRevokeMs);
+  }
+
+  /**
+   * Exports the conversation (including hidden turns) and downloads the file.
+   * @param {{format?:string, range?:string, from?:number, to?:number}} options
+   * @returns {{ok:true, fileName:string, turnCount:number}}
+   */
+  function exportConversation(options) {
+    const format = Object.values(EXPORT_FORMATS).includes(options.format) ? options.format : EXPORT_FORMATS.markdown;
+    const range = Object.values(EXPORT_RANGES).includes(options.range) ? options.range : EXPORT_RANGES.full;
+    const from = Number.parseInt(String(options.from), 10) || 1;
+    const to = Number.parseInt(String(options.to), 10) || from;
+
+    const selected = getExportTurns(range, from, to);
+    if (!selected.length) {
+      throw new Error("No turns to export.");
+    }
+
+    const turns = selected.map(({ turn, index }) => getTurnExportData(turn, index));
+    const title = document.title.trim() || LABELS.exportDefaultTitle;
+    const fileType = EXPORT_FILE_TYPES[format];
+    const date = new Date().toISOString().slice(0, 10);
+    const fileName = `${siteAdapter.id}-${getConversationId() || "conversation"}-${date}.${fileType.extension}`;
+
+    downloadTextFile(fileName, renderExport(format, turns, title), fileType.mimeType);
+
+    return {
+      ok: true,
+      fileName,
+      turnCount: turns.length
+    };
+  }
+
+  /**
+   * Returns the file extension for code in the given language (see CODE_FILE_EXTENSIONS).
+   * @param {string} language
+   * @returns {string}
+   */
+  function getCodeFileExtension(language) {
+    return Object.prototype.hasOwnProperty.call(CODE_FILE_EXTENSIONS, language)
+      ? CODE_FILE_EXTENSIONS[language]
+      : DEFAULT_CODE_FILE_EXTENSION;
+  }
+
+  /**
+   * Returns the file name of a code block, e.g. "turn-03-code-2.py".
+   * Turn numbers are zero-padded to the given width so the files sort in conversation order.
+   * @param {{turnNumber:number, index:number, language:string}} block
+   * @param {number} digits
+   * @returns {string}
+   */
+  function getCodeFileName(block, digits) {
+    const turnNumber = String(block.turnNumber).padStart(digits, "0");
+    return `turn-${turnNumber}-code-${block.index}.${getCodeFileExtension(block.language)}`;
+  }
+
+  /**
+   * Collects the code blocks of all turns, including hidden and detached ones, in conversation order.
+   * @returns {{turnNumber:number, index:number, language:string, code:string, pre:Element}[]}
+   */
+  function collectCodeBlocks() {
+    const blocks = [];
+
+    getConversationTurns().forEach((turn, turnIndex) => {
+      const pres = getTurnContentRoot(turn).querySelectorAll(siteAdapter.selectors.codeBlocks);
+
+      Array.from(pres).forEach((pre, codeIndex) => {
+        blocks.push({
+          turnNumber: turnIndex + 1,
+          index: codeIndex + 1,
+          language: getCodeLanguage(pre),
+          code: getCodeText(pre),
+          pre
+        });
+      });
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Returns the number of digits of the largest turn number, used to pad turn numbers in file names.
+   * @returns {number}
+   */
+  function getTurnNumberDigits() {
+    return Math.max(2, String(getConversationTurns().length).length);
+  }
+
+  /**
+   * Downloads one code block as a file named after the conversation, turn and block.
+   * @param {Element} preElement
+   */
+  function downloadCodeBlock(preElement) {
+    const block = collectCodeBlocks().find((entry) => entry.pre === preElement);
+    const fileName = block
+      ? getCodeFileName(block, getTurnNumberDigits())
+      : `code.${getCodeFileExtension(getCodeLanguage(preElement))}`;
+
+    downloadTextFile(
+      `${siteAdapter.id}-${getConversationId() || "conversation"}-${fileName}`,
+      `${getCodeText(preElement)}\n`,
+      "text/plain"
+    );
+  }
+
+  /**
+   * Returns all code blocks of the conversation as Markdown, each fenced block headed by its turn and index.
+   * @returns {{ok:true, text:string, blockCount:number}}
+   */
+  function copyAllCodeBlocks() {
+    const blocks = collectCodeBlocks();
+    if (!blocks.length) {
+      throw new Error("No code blocks in this conversation.");
+    }
+
+    const text = blocks
+      .map((block) => {
+        const heading = formatLabel(LABELS.allCodeBlockHeading, { turn: block.turnNumber, index: block.index });
+        const fence = getMarkdownFence(block.code);
+        return `${heading}\n\n${fence}${block.language}\n${block.code}\n${fence}`;
+      })
+      .join("\n\n");
+
+    return {
+      ok: true,
+      text: `${text}\n`,
+      blockCount: blocks.length
+    };
+  }
+
+  /**
+   * Downloads all code blocks of the conversation as one zip file with a file per block.
+   * @returns {{ok:true, fileName:string, blockCount:number}}
+   */
+  function downloadAllCodeBlocks() {
+    const blocks = collectCodeBlocks();
+    if (!blocks.length) {
+      throw new Error("No code blocks in this conversation.");
+    }
+
+    const digits = getTurnNumberDigits();
+    const files = blocks.map((block) => ({
+      name: getCodeFileName(block, digits),
+      content: `${block.code}\n`
+    }));
+
+    const date = new Date().toISOString().slice(0, 10);
+    const fileName = `${siteAdapter.id}-${getConversationId() || "conversation"}-code-${date}.zip`;
+
+    downloadBlob(fileName, createZipBlob(files));
+
+    return {
+      ok: true,
+      fileName,
+      blockCount: blocks.length
+    };
+  }
+
+  /**
+   * CRC-32 lookup table for zip files, built on first use.
+   * @type {Uint32Array|null}
+   */
+  let crcTable = null;
+
+  /**
+   * Returns the CRC-32 checksum of the given bytes.
+   * @param {Uint8Array} bytes
+   * @returns {number}
+   */
+  function getCrc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n += 1) {
+        let c = n;
+        for (let k = 0; k < 8; k += 1) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+      crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Builds an uncompressed (stored) zip file from text files.
+   * Names are stored as UTF-8; all files get the current local time.
+   * @param {{name:string, content:string}[]} files
+   * @returns {Blob}
+   */
+  function createZipBlob(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = getCrc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true);
+      local.setUint16(8, 0, true);
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+
+      localParts.push(local, name, data);
+      centralParts.push(central, name);
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: "application/zip" });
+  }
+
+  /**
+   * Returns whether the CSS Custom Highlight API is available.
+   * @returns {boolean}
+   */
+  function supportsHighlights() {
+    return typeof CSS !== "undefined" && "highlights" in CSS && typeof Highlight === "function";
+  }
+
+  /**
+   * Finds all case-insensitive matches of the query in the text of all turns.
+   * Hidden, detached and collapsed content is included. Text of the extension's own buttons is skipped.
+   * Matches spanning several text nodes (e.g. across formatting) are not found.
+   * @param {string} query
+   * @returns {{turnKey:string, range:Range}[]}
+   */
+  function findSearchMatches(query) {
+    const needle = query.toLowerCase();
+    const matches = [];
+
+    if (!needle) {
+      return matches;
+    }
+
+    const turns = getConversationTurns();
+
+    for (let index = 0; index < turns.length; index += 1) {
+      const turnKey = getTurnKey(turns[index], index);
+      const walker = document.createTreeWalker(getTurnContentRoot(turns[index]), NodeFilter.SHOW_TEXT);
+
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const parent = node.parentElement;
+        if (parent && parent.closest(OWN_UI_SELECTOR)) {
+          continue;
+        }
+
+        const haystack = (node.nodeValue || "").toLowerCase();
+        let offset = haystack.indexOf(needle);
+
+        while (offset >= 0) {
+          const range = document.createRange();
+          range.setStart(node, offset);
+          range.setEnd(node, offset + needle.length);
+          matches.push({ turnKey, range });
+          offset = haystack.indexOf(needle, offset + needle.length);
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Removes the temporary reveal from collapsed messages and code blocks.
+   */
+  function clearSearchReveal() {
+    for (const node of document.querySelectorAll(`.${CLASSES.searchReveal}`)) {
+      node.classList.remove(CLASSES.searchReveal);
+    }
+  }
+
+  /**
+   * Updates the match highlights and the "current / total" counter.
+   */
+  function renderSearchMatches() {
+    const count = document.querySelector(`#${IDS.search} .${CLASSES.searchCount}`);
+    if (count) {
+      const total = SEARCH_STATE.matches.length;
+      setTextIfChanged(count, total ? `${SEARCH_STATE.currentIndex + 1}/${total}` : LABELS.searchNoMatches);
+    }
+
+    if (!supportsHighlights()) {
+      return;
+    }
+
+    const current = SEARCH_STATE.matches[SEARCH_STATE.currentIndex];
+    const others = SEARCH_STATE.matches.filter((match) => match !== current).map((match) => match.range);
+
+    CSS.highlights.set(HIGHLIGHTS.searchMatch, new Highlight(...others));
+
+    if (current) {
+      CSS.highlights.set(HIGHLIGHTS.searchCurrent, new Highlight(current.range));
+    } else {
+      CSS.highlights.delete(HIGHLIGHTS.searchCurrent);
+    }
+  }
+
+  /**
+   * Moves to a match: temporarily reveals its turn and collapsed ancestors, highlights and scrolls to it.
+   * The trimming state itself (N, revealed window, collapse toggles) is not changed.
+   * @param {number} index
+   * @returns {Promise<void>}
+   */
+  async function goToSearchMatch(index) {
+    const total = SEARCH_STATE.matches.length;
+    if (!total) {
+      renderSearchMatches();
+      return;
+    }
+
+    SEARCH_STATE.currentIndex = (index + total) % total;
+    let match = SEARCH_STATE.matches[SEARCH_STATE.currentIndex];
+
+    clearSearchReveal();
+
+    if (SEARCH_STATE.revealTurnKey !== match.turnKey) {
+      SEARCH_STATE.revealTurnKey = match.turnKey;
+      await applyTrimming();
+
+      // Re-attaching the turn's content and re-rendering its toggles can collapse the stored ranges.
+      SEARCH_STATE.matches = findSearchMatches(SEARCH_STATE.query);
+      match = SEARCH_STATE.matches[SEARCH_STATE.currentIndex];
+      if (!match) {
+        renderSearchMatches();
+        return;
+      }
+    }
+
+    const container = match.range.startContainer.parentElement;
+    if (!container || !container.isConnected) {
+      renderSearchMatches();
+      return;
+    }
+
+    for (
+      let node = container.closest(COLLAPSED_SELECTOR);
+      node;
+      node = node.parentElement ? node.parentElement.closest(COLLAPSED_SELECTOR) : null
+    ) {
+      node.classList.add(CLASSES.searchReveal);
+    }
+
+    renderSearchMatches();
+    container.scrollIntoView({ block: "center", behavior: "smooth" });
+  }
+
+  /**
+   * Runs the search for the current input value and moves to the first match.
+   * @returns {Promise<void>}
+   */
+  function runSearch() {
+    const input = document.querySelector(`#${IDS.search} .${CLASSES.searchInput}`);
+    SEARCH_STATE.query = input instanceof HTMLInputElement ? input.value.trim() : "";
+    SEARCH_STATE.matches = findSearchMatches(SEARCH_STATE.query);
+    SEARCH_STATE.currentIndex = -1;
+    return goToSearchMatch(0);
+  }
+
+  /**
+   * Debounced search while typing.
+   */
+  function scheduleSearch() {
+    window.clearTimeout(SEARCH_STATE.timer);
+
+    SEARCH_STATE.timer = window.setTimeout(() => {
+      runSearch().catch((error) => {
+        console.error("[ChatGPT UI Trimmer] search failed:", error);
+      });
+    }, TIMING.searchDebounceMs);
+  }
+
+  /**
+   * Steps to the next or previous match; runs the search first if the query changed.
+   * @param {number} step 1 or -1
+   */
+  function stepSearch(step) {
+    const input = document.querySelector(`#${IDS.search} .${CLASSES.searchInput}`);
+    const query = input instanceof HTMLInputElement ? input.value.trim() : "";
+    const task = query !== SEARCH_STATE.query ? runSearch() : goToSearchMatch(SEARCH_STATE.currentIndex + step);
+
+    task.catch((error) => {
+      console.error("[ChatGPT UI Trimmer] search failed:", error);
+    });
+  }
+
+  /**
+   * Creates one search bar button.
+   * @param {string} text
+   * @param {string} label
+   * @param {() => void} onClick
+   * @returns {HTMLButtonElement}
+   */
+  function createSearchButton(text, label, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = CLASSES.searchButton;
+    button.textContent = text;
+    button.title = label;
+    button.setAttribute("aria-label", label);
+    button.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Opens the search bar (creating it on first use) and focuses its input.
+   */
+  function openSearch() {
+    let bar = document.getElementById(IDS.search);
+
+    if (!bar) {
+      bar = document.createElement("div");
+      bar.id = IDS.search;
+      bar.setAttribute("role", "search");
+
+      const input = document.createElement("input");
+      input.type = "search";
+      input.className = CLASSES.searchInput;
+      input.placeholder = LABELS.searchPlaceholder;
+      input.setAttribute("aria-label", LABELS.searchPlaceholder);
+
+      const count = document.createElement("span");
+      count.className = CLASSES.searchCount;
+      count.setAttribute("role", "status");
+      count.setAttribute("aria-live", "polite");
+      count.textContent = LABELS.searchNoMatches;
+
+      input.addEventListener("input", () => scheduleSearch());
+
+      // Keep keystrokes away from the site's own shortcuts while typing in the search bar.
+      input.addEventListener("keydown", (event) => {
+        event.stopPropagation();
+
+        if (event.key === "Enter") {
+          event.preventDefault();
+          stepSearch(event.shiftKey ? -1 : 1);
+        } else if (event.key === "Escape") {
+          event.preventDefault();
+          closeSearch();
+        }
+      });
+
+      bar.append(
+        input,
+        count,
+        createSearchButton("↑", LABELS.searchPrevious, () => stepSearch(-1)),
+        createSearchButton("↓", LABELS.searchNext, () => stepSearch(1)),
+        createSearchButton("×", LABELS.searchClose, () => closeSearch())
+      );
+
+      document.body.appendChild(bar);
+    }
+
+    SEARCH_STATE.open = true;
+
+    const input = bar.querySelector(`.${CLASSES.searchInput}`);
+    if (input instanceof HTMLInputElement) {
+      input.focus();
+      input.select();
+    }
+  }
+
+  /**
+   * Closes the search bar, removes highlights and temporary reveals, and restores the trimming state.
+   */
+  function closeSearch() {
+    window.clearTimeout(SEARCH_STATE.timer);
+
+    const bar = document.getElementById(IDS.search);
+    if (bar) {
+      bar.remove();
+    }
+
+    if (supportsHighlights()) {
+      CSS.highlights.delete(HIGHLIGHTS.searchMatch);
+      CSS.highlights.delete(HIGHLIGHTS.searchCurrent);
+    }
+
+    clearSearchReveal();
+
+    const hadRevealedTurn = SEARCH_STATE.revealTurnKey !== null;
+
+    SEARCH_STATE.open = false;
+    SEARCH_STATE.query = "";
+    SEARCH_STATE.matches = [];
+    SEARCH_STATE.currentIndex = -1;
+    SEARCH_STATE.revealTurnKey = null;
+
+    if (hadRevealedTurn) {
+      scheduleApply(0);
+    }
+  }
+
+  /**
+   * Moves the content of a turn into an off-document fragment and leaves a lightweight placeholder.
+   * Only the children move, so the turn element keeps its place among its siblings. The site still holds references
+   * to the moved nodes: before it inserts, removes or replaces a child of the turn, detach-guard.js sends
+   * EVENTS.reattach, and the content is put back first (see handleReattachRequest).
+   * @param {HTMLElement} turn
+   */
+  function detachTurn(turn) {
+    if (DETACHED_TURNS.has(turn)) {
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    while (turn.firstChild) {
+      fragment.appendChild(turn.firstChild);
+    }
+
+    const placeholder = document.createElement("div");
+    placeholder.className = CLASSES.detachedPlaceholder;
+    turn.appendChild(placeholder);
+
+    turn.setAttribute(ATTRS.detached, "1");
+    turn.addEventListener(EVENTS.reattach, handleReattachRequest);
+    DETACHED_TURNS.set(turn, fragment);
+  }
+
+  /**
+   * Puts the detached content of a turn back and removes its placeholder.
+   * Nodes added to the turn while it was detached are kept after the restored content.
+   * @param {HTMLElement} turn
+   */
+  function reattachTurn(turn) {
+    const fragment = DETACHED_TURNS.get(turn);
+    if (!fragment) {
+      return;
+    }
+
+    // Mark the turn as attached first, so the insert below is not reported back by detach-guard.js.
+    DETACHED_TURNS.delete(turn);
+    turn.removeAttribute(ATTRS.detached);
+    turn.removeEventListener(EVENTS.reattach, handleReattachRequest);
+
+    const placeholder = turn.querySelector(`:scope > .${CLASSES.detachedPlaceholder}`);
+    if (placeholder) {
+      placeholder.remove();
+    }
+
+    turn.insertBefore(fragment, turn.firstChild);
+  }
+
+  /**
+   * Re-attaches a turn the site is about to change (EVENTS.reattach from detach-guard.js). The event is dispatched
+   * synchronously, so the content is back before the site's DOM call runs. The turn stays hidden; the next apply
+   * detaches it again.
+   * @param {Event} event
+   */
+  function handleReattachRequest(event) {
+    if (event.currentTarget instanceof HTMLElement) {
+      reattachTurn(event.currentTarget);
+    }
+  }
+
+  /**
+   * Forgets detached content of turns that the site removed from the page (e.g. after navigation).
+   */
+  function pruneDetachedTurns() {
+    for (const turn of DETACHED_TURNS.keys()) {
+      if (!turn.isConnected) {
+        turn.removeEventListener(EVENTS.reattach, handleReattachRequest);
+        DETACHED_TURNS.delete(turn);
+      }
+    }
+  }
+
+  /**
+   * Counts the elements currently in the page.
+   * @returns {number}
+   */
+  function countPageElements() {
+    return document.getElementsByTagName("*").length;
+  }
+
+  /**
+   * Returns the element counts reported to the popup: the page before an apply (if given), the page now, and the
+   * elements kept off-document by detach mode.
+   * @param {number|null} [domNodeCountBefore]
+   * @returns {{domNodeCountBefore?:number, domNodeCount:number, detachedNodeCount:number}}
+   */
+  function getDomNodeCounts(domNodeCountBefore = null) {
+    let detachedNodeCount = 0;
+
+    for (const fragment of DETACHED_TURNS.values()) {
+      detachedNodeCount += fragment.querySelectorAll("*").length;
+    }
+
+    return {
+      ...(typeof domNodeCountBefore === "number" ? { domNodeCountBefore } : {}),
+      domNodeCount: countPageElements(),
+      detachedNodeCount
+    };
+  }
+
+  /**
+   * Hides or shows one conversation turn.
+   * In detach mode, hidden turns also have their content moved off-document.
+   * @param {HTMLElement} turn
+   * @param {boolean} hidden
+   * @param {boolean} detach
+   */
+  function setTurnHidden(turn, hidden, detach = false) {
+    turn.classList.toggle(CLASSES.hiddenTurn, hidden);
+
+    if (hidden && detach) {
+      detachTurn(turn);
+    } else {
+      reattachTurn(turn);
+    }
+
+    if (hidden) {
+      turn.setAttribute("data-cgpt-trimmer-hidden", "1");
+      return;
+    }
+
+    turn.removeAttribute("data-cgpt-trimmer-hidden");
+  }
+
+  /**
+   * Shows all conversation turns immediately.
+   * @param {HTMLElement[]} turns
+   */
+  function showAllTurns(turns = getConversationTurns()) {
+    for (const turn of turns) {
+      setTurnHidden(turn, false);
+    }
+
+    pruneDetachedTurns();
+  }
+
+  /**
+   * Hides the chosen page parts and custom selectors.
+   * @param {TrimmerSettings} settings
+   */
+  function applyMinimalUi(settings) {
+    updateMinimalUiStyleTag(settings);
+  }
+
+  /**
+   * Returns a stable key for a turn to preserve collapse state across re-renders.
+   * @param {HTMLElement} turn
+   * @param {number} index
+   * @returns {string}
+   */
+  function getTurnKey(turn, index) {
+    const testId = turn.getAttribute("data-testid");
+    const turnId = turn.getAttribute("data-turn-id");
+    const genericTurn = turn.getAttribute("data-turn");
+
+    if (testId) {
+      return testId;
+    }
+
+    if (turnId) {
+      return `turn-id:${turnId}`;
+    }
+
+    if (genericTurn) {
+      return `turn:${genericTurn}`;
+    }
+
+    return `turn-index:${index}`;
+  }
+
+  /**
+   * Returns the collapse-state key of the user message in a turn.
+   * @param {HTMLElement} turn
+   * @param {number} index
+   * @returns {string}
+   */
+  function getMessageKey(turn, index) {
+    return getMessageKeyForTurnKey(getTurnKey(turn, index));
+  }
+
+  /**
+   * Returns the collapse-state key of the user message for a known turn key.
+   * @param {string} turnKey
+   * @returns {string}
+   */
+  function getMessageKeyForTurnKey(turnKey) {
+    return `${turnKey}::user-message`;
+  }
+
+  /**
+   * Returns the collapse-state key of the assistant message for a known turn key.
+   * @param {string} turnKey
+   * @returns {string}
+   */
+  function getAssistantMessageKeyForTurnKey(turnKey) {
+    return `${turnKey}::assistant-message`;
+  }
+
+  /**
+   * Returns the collapse-state key of one element of a content type in a turn.
+   * @param {string} turnKey
+   * @param {string} type
+   * @param {number} index
+   * @returns {string}
+   */
+  function getContentKey(turnKey, type, index) {
+    return `${turnKey}::${type}:${index}`;
+  }
+
+  /**
+   * Returns the collapse-state key of one code block in a turn.
+   * @param {string} turnKey
+   * @param {number} codeIndex
+   * @returns {string}
+   */
+  function getCodeKey(turnKey, codeIndex) {
+    return `${turnKey}::code-block:${codeIndex}`;
+  }
+
+  /**
+   * Finds the user message container inside a turn.
+   * This is the node that gets hidden/shown when collapsing "my message".
+   * @param {HTMLElement} turn
+   * @returns {HTMLElement|null}
+   */
+  function findUserMessageNode(turn) {
+    const node = turn.querySelector(siteAdapter.selectors.userMessage);
+    return node instanceof HTMLElement ? node : null;
+  }
+
+  /**
+   * Finds the answer inside an assistant turn. This is the node that gets clamped by "Clamp long answers".
+   * @param {HTMLElement} turn
+   * @returns {HTMLElement|null}
+   */
+  function findAssistantMessageNode(turn) {
+    const selector = siteAdapter.selectors.assistantMessage;
+    const node = selector ? turn.querySelector(selector) : null;
+    return node instanceof HTMLElement ? node : null;
+  }
+
+  /**
+   * Finds a child button by CSS class and a matching data attribute value.
+   * @param {ParentNode} root
+   * @param {string} className
+   * @param {string} attributeName
+   * @param {string} key
+   * @returns {HTMLButtonElement|null}
+   */
+  function findChildButtonByKey(root, className, attributeName, key) {
+    const buttons = root.querySelectorAll(`button.${className}`);
+
+    for (const button of buttons) {
+      if (!(button instanceof HTMLButtonElement)) {
+        continue;
+      }
+
+      if (button.getAttribute(attributeName) === key) {
+        return button;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Fills a LABELS template: every {name} is replaced by values[name].
+   * @param {string} template
+   * @param {Object<string, string|number>} values
+   * @returns {string}
+   */
+  function formatLabel(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+  }
+
+  /**
+   * Returns the first non-empty line of a text, shortened to LIMITS.collapsedPreviewLength.
+   * "…" marks text that was cut or continues on further lines.
+   * @param {string} text
+   * @returns {string}
+   */
+  function getFirstLinePreview(text) {
+    const lines = text.split("\n").map((line) => line.trim());
+    const index = lines.findIndex(Boolean);
+    if (index < 0) {
+      return "";
+    }
+
+    const line = lines[index].replace(/\s+/g, " ");
+    const more = lines.slice(index + 1).some(Boolean);
+
+    if (line.length > LIMITS.collapsedPreviewLength) {
+      return `${line.slice(0, LIMITS.collapsedPreviewLength - 1)}…`;
+    }
+
+    return more ? `${line} …` : line;
+  }
+
+  /**
+   * Sets the label and preview of a collapse toggle. The two parts are separate spans, so the preview can be
+   * shortened with an ellipsis while the label stays readable.
+   * @param {HTMLButtonElement} button
+   * @param {string} label
+   * @param {string} preview Empty when expanded.
+   */
+  function setToggleText(button, label, preview) {
+    let labelNode = button.querySelector(`.${CLASSES.toggleLabel}`);
+    let previewNode = button.querySelector(`.${CLASSES.togglePreview}`);
+
+    if (!labelNode || !previewNode) {
+      labelNode = document.createElement("span");
+      labelNode.className = CLASSES.toggleLabel;
+      previewNode = document.createElement("span");
+      previewNode.className = CLASSES.togglePreview;
+      button.replaceChildren(labelNode, previewNode);
+    }
+
+    setTextIfChanged(labelNode, label);
+    setTextIfChanged(previewNode, preview);
+    button.setAttribute("aria-label", preview ? `${label}: ${preview}` : label);
+  }
+
+  /**
+   * Updates the collapsed state and label for a user message.
+   * A collapsed message shows its first line on the toggle.
+   * @param {HTMLElement} messageNode
+   * @param {HTMLButtonElement} button
+   * @param {boolean} collapsed
+   */
+  function setMessageCollapsed(messageNode, button, collapsed) {
+    messageNode.classList.toggle(CLASSES.collapsedUserMessage, collapsed);
+    button.setAttribute("aria-expanded", String(!collapsed));
+
+    if (collapsed) {
+      setToggleText(button, LABELS.showMyMessage, getFirstLinePreview(messageNode.textContent || ""));
+    } else {
+      setToggleText(button, LABELS.hideMyMessage, "");
+    }
+  }
+
+  /**
+   * Ensures a collapse toggle exists for a user message and applies the current state.
+   * @param {HTMLElement} turn
+   * @param {HTMLElement} messageNode
+   * @param {string} messageKey
+   */
+  function ensureMessageToggle(turn, messageNode, messageKey) {
+    const host = messageNode.parentElement || turn;
+    let button = findChildButtonByKey(turn, CLASSES.messageToggle, ATTRS.messageKey, messageKey);
+
+    if (!button) {
+      button = document.createElement("button");
+      button.type = "button";
+      button.className = CLASSES.messageToggle;
+      button.setAttribute(ATTRS.messageKey, messageKey);
+
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const next = !messageNode.classList.contains(CLASSES.collapsedUserMessage);
+
+        setStoredCollapsed("messages", messageKey, next);
+        setMessageCollapsed(messageNode, button, next);
+      });
+    }
+
+    if (button.parentElement !== host || button.nextSibling !== messageNode) {
+      host.insertBefore(button, messageNode);
+    }
+
+    // Without a remembered state the rules decide. That default is not stored, so it follows later content changes.
+    const collapsed = COLLAPSE_STATE.messages.has(messageKey)
+      ? COLLAPSE_STATE.messages.get(messageKey) === true
+      : shouldAutoCollapseMessage(messageNode);
+
+    setMessageCollapsed(messageNode, button, collapsed);
+  }
+
+  /**
+   * Removes all user-message collapse UI and restores message visibility.
+   */
+  function cleanupMessageCollapsers() {
+    const buttons = document.querySelectorAll(`button.${CLASSES.messageToggle}`);
+    for (const button of buttons) {
+      button.remove();
+    }
+
+    const nodes = document.querySelectorAll(`.${CLASSES.collapsedUserMessage}`);
+    for (const node of nodes) {
+      node.classList.remove(CLASSES.collapsedUserMessage);
+    }
+  }
+
+  /**
+   * Applies collapsible toggles for user messages.
+   * @param {HTMLElement[]} turns
+   * @param {boolean} enabled
+   * @param {Set<HTMLElement>|null} pending Only these turns are processed (null = all).
+   */
+  function applyMessageCollapsers(turns, enabled, pending = null) {
+    if (!enabled) {
+      cleanupMessageCollapsers();
+      return;
+    }
+
+    for (let index = 0; index < turns.length; index += 1) {
+      const turn = turns[index];
+      if (pending && !pending.has(turn)) {
+        continue;
+      }
+
+      const messageNode = findUserMessageNode(turn);
+
+      if (!messageNode) {
+        continue;
+      }
+
+      ensureMessageToggle(turn, messageNode, getMessageKey(turn, index));
+    }
+  }
+
+  /**
+   * Returns the last assistant turn. Its answer is not clamped unless the user clamps it.
+   * @param {HTMLElement[]} turns
+   * @returns {HTMLElement|null}
+   */
+  function getLatestAssistantTurn(turns) {
+    for (let index = turns.length - 1; index >= 0; index -= 1) {
+      if (getTurnRole(turns[index]) === "assistant") {
+        return turns[index];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Updates the clamped state and label for an assistant message.
+   * @param {HTMLElement} messageNode
+   * @param {HTMLButtonElement} button
+   * @param {boolean} collapsed
+   */
+  function setAssistantMessageCollapsed(messageNode, button, collapsed) {
+    messageNode.classList.toggle(CLASSES.collapsedAssistantMessage, collapsed);
+    button.setAttribute("aria-expanded", String(!collapsed));
+    setTextIfChanged(button, collapsed ? LABELS.readMore : LABELS.showLess);
+  }
+
+  /**
+   * Ensures a "Read more / Show less" toggle follows a long assistant message and applies the current state.
+   * Short messages get no toggle. A message without layout (hidden turn) is left as it is until it is shown.
+   * @param {HTMLElement} turn
+   * @param {HTMLElement} messageNode
+   * @param {string} messageKey
+   * @param {boolean} isLatest Without a remembered state, the latest answer stays expanded.
+   * @param {number} minHeight Messages taller than this (pixels) are clamped.
+   */
+  function ensureAssistantToggle(turn, messageNode, messageKey, isLatest, minHeight) {
+    const host = messageNode.parentElement || turn;
+    let button = findChildButtonByKey(turn, CLASSES.assistantToggle, ATTRS.assistantKey, messageKey);
+
+    // scrollHeight is the full height of the content, also while the message is clamped.
+    const height = messageNode.scrollHeight;
+    if (height === 0) {
+      return;
+    }
+
+    if (height <= minHeight) {
+      messageNode.classList.remove(CLASSES.collapsedAssistantMessage);
+      if (button) {
+        button.remove();
+      }
+      return;
+    }
+
+    if (!button) {
+      button = document.createElement("button");
+      button.type = "button";
+      button.className = CLASSES.assistantToggle;
+      button.setAttribute(ATTRS.assistantKey, messageKey);
+
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const next = !messageNode.classList.contains(CLASSES.collapsedAssistantMessage);
+
+        setStoredCollapsed("assistantMessages", messageKey, next);
+        setAssistantMessageCollapsed(messageNode, button, next);
+
+        // After "Show less" on a long answer, the reader would otherwise be left far below it.
+        if (next && messageNode.getBoundingClientRect().top < 0) {
+          messageNode.scrollIntoView({ block: "start" });
+        }
+      });
+    }
+
+    if (button.parentElement !== host || button.previousSibling !== messageNode) {
+      messageNode.after(button);
+    }
+
+    const collapsed = COLLAPSE_STATE.assistantMessages.has(messageKey)
+      ? COLLAPSE_STATE.assistantMessages.get(messageKey) === true
+      : !isLatest;
+
+    setAssistantMessageCollapsed(messageNode, button, collapsed);
+  }
+
+  /**
+   * Removes all assistant-message toggles and unclamps the messages.
+   */
+  function cleanupAssistantCollapsers() {
+    const buttons = document.querySelectorAll(`button.${CLASSES.assistantToggle}`);
+    for (const button of buttons) {
+      button.remove();
+    }
+
+    const nodes = document.querySelectorAll(`.${CLASSES.collapsedAssistantMessage}`);
+    for (const node of nodes) {
+      node.classList.remove(CLASSES.collapsedAssistantMessage);
+    }
+  }
+
+  /**
+   * Applies "Read more / Show less" toggles to long assistant messages.
+   * @param {HTMLElement[]} turns
+   * @param {TrimmerSettings} settings
+   * @param {Set<HTMLElement>|null} pending Only these turns are processed (null = all).
+   */
+  function applyAssistantCollapsers(turns, settings, pending = null) {
+    if (!settings.collapseAssistantMessages) {
+      cleanupAssistantCollapsers();
+      return;
+    }
+
+    const latestTurn = getLatestAssistantTurn(turns);
+
+    for (let index = 0; index < turns.length; index += 1) {
+      const turn = turns[index];
+      if ((pending && !pending.has(turn)) || getTurnRole(turn) !== "assistant") {
+        continue;
+      }
+
+      const messageNode = findAssistantMessageNode(turn);
+      if (!messageNode) {
+        continue;
+      }
+
+      const messageKey = getAssistantMessageKeyForTurnKey(getTurnKey(turn, index));
+      ensureAssistantToggle(turn, messageNode, messageKey, turn === latestTurn, settings.assistantCollapseHeight);
+    }
+  }
+
+  /**
+   * Updates the collapsed state and label for a code block.
+   * A collapsed block shows language, line count and first line on the toggle. Only the code is hidden when the
+   * block has a header, so copy buttons in the code header keep working (see the collapsedCodeBlock CSS).
+   * @param {HTMLElement} preElement
+   * @param {HTMLButtonElement} button
+   * @param {boolean} collapsed
+   */
+  function setCodeCollapsed(preElement, button, collapsed) {
+    preElement.classList.toggle(CLASSES.collapsedCodeBlock, collapsed);
+    button.setAttribute("aria-expanded", String(!collapsed));
+
+    if (!collapsed) {
+      setToggleText(button, LABELS.hideCode, "");
+      return;
+    }
+
+    const code = getCodeText(preElement);
+    const lineCount = countLines(code);
+    const language = getCodeLanguage(preElement);
+    const lines = lineCount === 1 ? LABELS.lineCountOne : formatLabel(LABELS.lineCount, { count: lineCount });
+    const label = language
+      ? formatLabel(LABELS.showCode, { language, lines })
+      : formatLabel(LABELS.showCodeWithoutLanguage, { lines });
+
+    setToggleText(button, label, getFirstLinePreview(code));
+  }
+
+  /**
+   * Ensures the collapse toggle of a code block as first item of its toolbar and applies the current state.
+   * @param {HTMLElement} toolbar
+   * @param {HTMLElement} preElement
+   * @param {string} codeKey
+   */
+  function ensureCodeToggle(toolbar, preElement, codeKey) {
+    let button = findChildButtonByKey(toolbar, CLASSES.codeToggle, ATTRS.codeKey, codeKey);
+
+    if (!button) {
+      button = document.createElement("button");
+      button.type = "button";
+      button.className = CLASSES.codeToggle;
+      button.setAttribute(ATTRS.codeKey, codeKey);
+
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const next = !preElement.classList.contains(CLASSES.collapsedCodeBlock);
+
+        setStoredCollapsed("codeBlocks", codeKey, next);
+        setCodeCollapsed(preElement, button, next);
+      });
+    }
+
+    if (toolbar.firstChild !== button) {
+      toolbar.prepend(button);
+    }
+
+    // Without a remembered state the rules decide. That default is not stored, so it follows later content changes.
+    const collapsed = COLLAPSE_STATE.codeBlocks.has(codeKey)
+      ? COLLAPSE_STATE.codeBlocks.get(codeKey) === true
+      : shouldAutoCollapseCode(preElement);
+
+    setCodeCollapsed(preElement, button, collapsed);
+  }
+
+  /**
+   * Returns the view options (line numbers, wrapping) of the current conversation's code blocks.
+   * They are kept in memory only and start over in another conversation.
+   * @returns {{lineNumbers:Set<string>, wrapped:Set<string>}}
+   */
+  function getCodeViewState() {
+    const conversationId = getConversationId();
+
+    if (CODE_VIEW_STATE.conversationId !== conversationId) {
+      CODE_VIEW_STATE.conversationId = conversationId;
+      CODE_VIEW_STATE.lineNumbers = new Set();
+      CODE_VIEW_STATE.wrapped = new Set();
+    }
+
+    return CODE_VIEW_STATE;
+  }
+
+  /**
+   * Returns whether line numbers can be shown next to the code: the code element must be the only element
+   * in its container, so the number column can sit beside it without moving the site's code header.
+   * @param {HTMLElement} preElement
+   * @returns {boolean}
+   */
+  function canShowLineNumbers(preElement) {
+    const code = preElement.querySelector(SELECTORS.codeElement);
+    const host = code ? code.parentElement : null;
+
+    return Boolean(host) && Array.from(host.children).every(
+      (child) => child === code || child.classList.contains(CLASSES.lineNumbers)
+    );
+  }
+
+  /**
+   * Shows or removes the line number column of a code block.
+   * The column copies the font of the code element so its lines stay aligned with the code.
+   * @param {HTMLElement} preElement
+   * @param {HTMLButtonElement|null} button
+   * @param {boolean} enabled
+   */
+  function setCodeLineNumbers(preElement, button, enabled) {
+    const code = preElement.querySelector(SELECTORS.codeElement);
+    const host = code ? code.parentElement : null;
+    let column = host ? host.querySelector(`:scope > .${CLASSES.lineNumbers}`) : null;
+
+    if (button) {
+      button.setAttribute("aria-pressed", String(enabled));
+    }
+
+    if (!code || !host || !enabled) {
+      if (column) {
+        column.remove();
+      }
+      if (host) {
+        host.classList.remove(CLASSES.lineNumbersHost);
+      }
+      return;
+    }
+
+    if (!column) {
+      column = document.createElement("div");
+      column.className = CLASSES.lineNumbers;
+      column.setAttribute("aria-hidden", "true");
+
+      const style = window.getComputedStyle(code);
+      column.style.fontFamily = style.fontFamily;
+      column.style.fontSize = style.fontSize;
+      column.style.lineHeight = style.lineHeight;
+    }
+
+    if (column.nextSibling !== code) {
+      host.insertBefore(column, code);
+    }
+
+    host.classList.add(CLASSES.lineNumbersHost);
+
+    const lineCount = countLines(getCodeText(preElement));
+    setTextIfChanged(column, Array.from({ length: lineCount }, (_, index) => String(index + 1)).join("\n"));
+  }
+
+  /**
+   * Turns word wrapping of a code block on or off.
+   * @param {HTMLElement} preElement
+   * @param {HTMLButtonElement|null} button
+   * @param {boolean} enabled
+   */
+  function setCodeWrapped(preElement, button, enabled) {
+    preElement.classList.toggle(CLASSES.wrappedCode, enabled);
+
+    if (button) {
+      button.setAttribute("aria-pressed", String(enabled));
+    }
+  }
+
+  /**
+   * Creates one tool button of the code toolbar.
+   * @param {string} tool One of CODE_TOOLS.
+   * @param {string} label
+   * @param {(button: HTMLButtonElement) => void} onClick
+   * @returns {HTMLButtonElement}
+   */
+  function createCodeToolButton(tool, label, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = CLASSES.codeTool;
+    button.setAttribute(ATTRS.codeTool, tool);
+    button.textContent = label;
+
+    button.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      onClick(button);
+    });
+
+    return button;
+  }
+
+  /**
+   * Ensures the Download, Line numbers and Wrap buttons in a code toolbar and applies the view state.
+   * Line numbers and wrapping exclude each other, because wrapped lines would no longer match the numbers.
+   * @param {HTMLElement} toolbar
+   * @param {HTMLElement} preElement
+   * @param {string} codeKey
+   */
+  function ensureCodeTools(toolbar, preElement, codeKey) {
+    const viewState = getCodeViewState();
+    const findTool = (tool) => toolbar.querySelector(`button.${CLASSES.codeTool}[${ATTRS.codeTool}="${tool}"]`);
+
+    if (!findTool(CODE_TOOLS.download)) {
+      const lineNumbersAllowed = canShowLineNumbers(preElement);
+      const buttons = [
+        createCodeToolButton(CODE_TOOLS.download, LABELS.downloadCode, () => downloadCodeBlock(preElement)),
+        createCodeToolButton(CODE_TOOLS.wrap, LABELS.wrapCode, (button) => {
+          const next = !viewState.wrapped.has(codeKey);
+          viewState.wrapped[next ? "add" : "delete"](codeKey);
+          setCodeWrapped(preElement, button, next);
+
+          if (next && viewState.lineNumbers.delete(codeKey)) {
+            setCodeLineNumbers(preElement, findTool(CODE_TOOLS.lineNumbers), false);
+          }
+        })
+      ];
+
+      if (lineNumbersAllowed) {
+        buttons.splice(
+          1,
+          0,
+          createCodeToolButton(CODE_TOOLS.lineNumbers, LABELS.lineNumbers, (button) => {
+            const next = !viewState.lineNumbers.has(codeKey);
+            viewState.lineNumbers[next ? "add" : "delete"](codeKey);
+            setCodeLineNumbers(preElement, button, next);
+
+            if (next && viewState.wrapped.delete(codeKey)) {
+              setCodeWrapped(preElement, findTool(CODE_TOOLS.wrap), false);
+            }
+          })
+        );
+      }
+
+      toolbar.append(...buttons);
+    }
+
+    setCodeWrapped(preElement, findTool(CODE_TOOLS.wrap), viewState.wrapped.has(codeKey));
+    setCodeLineNumbers(preElement, findTool(CODE_TOOLS.lineNumbers), viewState.lineNumbers.has(codeKey));
+  }
+
+  /**
+   * Removes the tool buttons of a code toolbar and what they changed on the code block.
+   * @param {HTMLElement} toolbar
+   * @param {HTMLElement} preElement
+   */
+  function removeCodeTools(toolbar, preElement) {
+    for (const button of toolbar.querySelectorAll(`button.${CLASSES.codeTool}`)) {
+      button.remove();
+    }
+
+    setCodeWrapped(preElement, null, false);
+    setCodeLineNumbers(preElement, null, false);
+  }
+
+  /**
+   * Ensures the toolbar in front of a code block: the collapse toggle (collapseCodeBlocks) and the tools
+   * (showCodeToolbar). The toolbar is found again by its code key after the site re-renders the block.
+   * @param {HTMLElement} preElement
+   * @param {string} codeKey
+   * @param {{collapse:boolean, tools:boolean}} parts
+   */
+  function ensureCodeToolbar(preElement, codeKey, parts) {
+    const host = preElement.parentElement;
+    if (!host) {
+      return;
+    }
+
+    let toolbar = null;
+    for (const candidate of host.querySelectorAll(`.${CLASSES.codeToolbar}`)) {
+      if (candidate.getAttribute(ATTRS.codeKey) === codeKey) {
+        toolbar = candidate;
+        break;
+      }
+    }
+
+    if (!toolbar) {
+      toolbar = document.createElement("div");
+      toolbar.className = CLASSES.codeToolbar;
+      toolbar.setAttribute(ATTRS.codeKey, codeKey);
+      toolbar.setAttribute("role", "toolbar");
+      toolbar.setAttribute("aria-label", LABELS.codeToolbar);
+    }
+
+    if (toolbar.parentElement !== host || toolbar.nextSibling !== preElement) {
+      host.insertBefore(toolbar, preElement);
+    }
+
+    if (parts.collapse) {
+      ensureCodeToggle(toolbar, preElement, codeKey);
+    } else {
+      const button = findChildButtonByKey(toolbar, CLASSES.codeToggle, ATTRS.codeKey, codeKey);
+      if (button) {
+        button.remove();
+      }
+      preElement.classList.remove(CLASSES.collapsedCodeBlock);
+    }
+
+    if (parts.tools) {
+      ensureCodeTools(toolbar, preElement, codeKey);
+    } else {
+      removeCodeTools(toolbar, preElement);
+    }
+  }
+
+  /**
+   * Removes all code toolbars and restores code block visibility, wrapping and line numbers.
+   */
+  function cleanupCodeCollapsers() {
+    const toolbars = document.querySelectorAll(`.${CLASSES.codeToolbar}`);
+    for (const toolbar of toolbars) {
+      toolbar.remove();
+    }
+
+    const columns = document.querySelectorAll(`.${CLASSES.lineNumbers}`);
+    for (const column of columns) {
+      column.remove();
+    }
+
+    const hosts = document.querySelectorAll(`.${CLASSES.lineNumbersHost}`);
+    for (const host of hosts) {
+      host.classList.remove(CLASSES.lineNumbersHost);
+    }
+
+    const nodes = document.querySelectorAll(`.${CLASSES.collapsedCodeBlock}, .${CLASSES.wrappedCode}`);
+    for (const node of nodes) {
+      node.classList.remove(CLASSES.collapsedCodeBlock, CLASSES.wrappedCode);
+    }
+  }
+
+  /**
+   * Applies the toolbars of code blocks (collapse toggle and tools).
+   * @param {HTMLElement[]} turns
+   * @param {TrimmerSettings} settings
+   * @param {Set<HTMLElement>|null} pending Only these turns are processed (null = all).
+   */
+  function applyCodeCollapsers(turns, settings, pending = null) {
+    const parts = { collapse: settings.collapseCodeBlocks, tools: settings.showCodeToolbar };
+
+    if (!parts.collapse && !parts.tools) {
+      cleanupCodeCollapsers();
+      return;
+    }
+
+    for (let turnIndex = 0; turnIndex < turns.length; turnIndex += 1) {
+      const turn = turns[turnIndex];
+      if (pending && !pending.has(turn)) {
+        continue;
+      }
+
+      const turnKey = getTurnKey(turn, turnIndex);
+      const preBlocks = turn.querySelectorAll(siteAdapter.selectors.codeBlocks);
+
+      let codeIndex = 0;
+
+      for (const preBlock of preBlocks) {
+        if (!(preBlock instanceof HTMLElement)) {
+          continue;
+        }
+
+        ensureCodeToolbar(preBlock, getCodeKey(turnKey, codeIndex), parts);
+        codeIndex += 1;
+      }
+    }
+  }
+
+  /**
+   * Finds the elements of a content type inside a turn. Matches nested in another match are left out.
+   * @param {HTMLElement} turn
+   * @param {string} type
+   * @returns {HTMLElement[]}
+   */
+  function findContentNodes(turn, type) {
+    const selector = CONTENT_TYPE_SELECTORS[type][siteAdapter.id];
+    if (!selector) {
+      return [];
+    }
+
+    return Array.from(turn.querySelectorAll(selector)).filter((node) => {
+      if (!(node instanceof HTMLElement)) {
+        return false;
+      }
+
+      const outer = node.parentElement ? node.parentElement.closest(selector) : null;
+      return !outer || !turn.contains(outer);
+    });
+  }
+
+  /**
+   * Updates the collapsed state and label for one content element.
+   * @param {HTMLElement} node
+   * @param {HTMLButtonElement} button
+   * @param {string} type
+   * @param {boolean} collapsed
+   */
+  function setContentCollapsed(node, button, type, collapsed) {
+    node.classList.toggle(CLASSES.collapsedContent, collapsed);
+    button.setAttribute("aria-expanded", String(!collapsed));
+
+    const template = collapsed ? LABELS.showContent : LABELS.hideContent;
+    setTextIfChanged(button, formatLabel(template, { name: CONTENT_TYPE_NAMES[type] }));
+  }
+
+  /**
+   * Ensures a collapse toggle exists in front of a content element and applies the current state.
+   * Without a remembered state, the element starts collapsed.
+   * @param {HTMLElement} turn
+   * @param {HTMLElement} node
+   * @param {string} type
+   * @param {string} contentKey
+   */
+  function ensureContentToggle(turn, node, type, contentKey) {
+    const host = node.parentElement || turn;
+    let button = findChildButtonByKey(turn, CLASSES.contentToggle, ATTRS.contentKey, contentKey);
+
+    if (!button) {
+      button = document.createElement("button");
+      button.type = "button";
+      button.className = CLASSES.contentToggle;
+      button.setAttribute(ATTRS.contentKey, contentKey);
+      button.setAttribute(ATTRS.contentType, type);
+
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const next = !node.classList.contains(CLASSES.collapsedContent);
+
+        setStoredCollapsed("contentBlocks", contentKey, next);
+        setContentCollapsed(node, button, type, next);
+      });
+    }
+
+    if (button.parentElement !== host || button.nextSibling !== node) {
+      host.insertBefore(button, node);
+    }
+
+    node.setAttribute(ATTRS.contentType, type);
+
+    const collapsed = COLLAPSE_STATE.contentBlocks.has(contentKey)
+      ? COLLAPSE_STATE.contentBlocks.get(contentKey) === true
+      : true;
+
+    setContentCollapsed(node, button, type, collapsed);
+  }
+
+  /**
+   * Removes the toggles of the given content types and shows their elements again.
+   * @param {readonly string[]} types
+   */
+  function cleanupContentCollapsers(types) {
+    for (const type of types) {
+      const buttons = document.querySelectorAll(`button.${CLASSES.contentToggle}[${ATTRS.contentType}="${type}"]`);
+      for (const button of buttons) {
+        button.remove();
+      }
+
+      const nodes = document.querySelectorAll(`[${ATTRS.contentType}="${type}"]`);
+      for (const node of nodes) {
+        node.classList.remove(CLASSES.collapsedContent);
+        node.removeAttribute(ATTRS.contentType);
+      }
+    }
+  }
+
+  /**
+   * Applies collapsible toggles for the chosen content types and removes those of the other types.
+   * @param {HTMLElement[]} turns
+   * @param {readonly string[]} types
+   * @param {Set<HTMLElement>|null} pending Only these turns are processed (null = all).
+   */
+  function applyContentCollapsers(turns, types, pending = null) {
+    cleanupContentCollapsers(CONTENT_TYPES.filter((type) => !types.includes(type)));
+
+    if (!types.length) {
+      return;
+    }
+
+    for (let turnIndex = 0; turnIndex < turns.length; turnIndex += 1) {
+      const turn = turns[turnIndex];
+      if (pending && !pending.has(turn)) {
+        continue;
+      }
+
+      const turnKey = getTurnKey(turn, turnIndex);
+
+      for (const type of types) {
+        findContentNodes(turn, type).forEach((node, index) => {
+          ensureContentToggle(turn, node, type, getContentKey(turnKey, type, index));
+        });
+      }
+    }
+  }
+
+  /**
+   * Collapses or expands all user messages or all code blocks of the current conversation.
+   * Turns whose content is detached are skipped, because their nodes are not in the page.
+   * @param {"messages"|"codeBlocks"} kind
+   * @param {boolean} collapsed
+   */
+  function setAllCollapsed(kind, collapsed) {
+    const turns = getConversationTurns();
+
+    for (let turnIndex = 0; turnIndex < turns.length; turnIndex += 1) {
+      const turn = turns[turnIndex];
+
+      if (kind === "messages") {
+        if (findUserMessageNode(turn)) {
+          COLLAPSE_STATE.messages.set(getMessageKey(turn, turnIndex), collapsed);
+        }
+        continue;
+      }
+
+      const turnKey = getTurnKey(turn, turnIndex);
+      const codeCount = turn.querySelectorAll(siteAdapter.selectors.codeBlocks).length;
+
+      for (let codeIndex = 0; codeIndex < codeCount; codeIndex += 1) {
+        COLLAPSE_STATE.codeBlocks.set(getCodeKey(turnKey, codeIndex), collapsed);
       }
+    }
+
+    schedulePersistCollapseState();
+  }
+
+  /**
+   * Returns whether a turn is pinned.
+   * @param {HTMLElement} turn
+   * @param {number} index
+   * @returns {boolean}
+   */
+  function isTurnPinned(turn, index) {
+    return COLLAPSE_STATE.pinnedTurns.has(getTurnKey(turn, index));
+  }
+
+  /**
+   * Updates the pinned marker of a turn and the state and label of its pin button.
+   * @param {HTMLElement} turn
+   * @param {HTMLButtonElement} button
+   * @param {boolean} pinned
+   */
+  function setTurnPinnedUi(turn, button, pinned) {
+    turn.classList.toggle(CLASSES.pinnedTurn, pinned);
+    button.setAttribute("aria-pressed", String(pinned));
+    setTextIfChanged(button, pinned ? LABELS.unpinTurn : LABELS.pinTurn);
+  }
+
+  /**
+   * Ensures a pin button exists for a turn and applies the current pinned state.
+   * The button sits next to the message toggle in user turns, and at the top of other turns.
+   * @param {HTMLElement} turn
+   * @param {string} turnKey
+   */
+  function ensurePinToggle(turn, turnKey) {
+    let button = findChildButtonByKey(turn, CLASSES.pinToggle, ATTRS.pinKey, turnKey);
+
+    if (!button) {
+      button = document.createElement("button");
+      button.type = "button";
+      button.className = CLASSES.pinToggle;
+      button.setAttribute(ATTRS.pinKey, turnKey);
+
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (COLLAPSE_STATE.pinnedTurns.has(turnKey)) {
+          COLLAPSE_STATE.pinnedTurns.delete(turnKey);
+        } else {
+          COLLAPSE_STATE.pinnedTurns.add(turnKey);
+        }
 
-      .${CLASSES.messageToggle}:hover,
-      .${CLASSES.codeToggle}:hover {
-        background: rgba(127, 127, 127, 0.14);
-      }
+        schedulePersistCollapseState();
+        scheduleApply(0);
+      });
+    }
 
-      .${CLASSES.collapsedUserMessage} {
-        display: none !important;
-      }
+    const anchor =
+      findChildButtonByKey(turn, CLASSES.messageToggle, ATTRS.messageKey, getMessageKeyForTurnKey(turnKey)) ||
+      findUserMessageNode(turn);
 
-      .${CLASSES.collapsedCodeBlock} {
-        display: none !important;
+    if (anchor && anchor.parentElement) {
+      if (button.nextSibling !== anchor) {
+        anchor.parentElement.insertBefore(button, anchor);
       }
+    } else if (turn.firstChild !== button) {
+      turn.prepend(button);
+    }
 
-      html.${CLASSES.minimalUi} {
-        --sidebar-width: 0px !important;
-      }
+    setTurnPinnedUi(turn, button, COLLAPSE_STATE.pinnedTurns.has(turnKey));
+  }
 
-      html.${CLASSES.minimalUi} #stage-slideover-sidebar {
-        display: none !important;
-        width: 0 !important;
-        min-width: 0 !important;
-        border: 0 !important;
-      }
+  /**
+   * Adds pin buttons to all turns.
+   * @param {HTMLElement[]} turns
+   * @param {Set<HTMLElement>|null} pending Only these turns are processed (null = all).
+   */
+  function applyPinToggles(turns, pending = null) {
+    for (let index = 0; index < turns.length; index += 1) {
+      const turn = turns[index];
 
-      html.${CLASSES.minimalUi} [data-testid="share-chat-button"],
-      html.${CLASSES.minimalUi} [data-testid="conversation-options-button"] {
-        display: none !important;
+      if (pending && !pending.has(turn)) {
+        continue;
       }
 
-      html.${CLASSES.minimalUi} [data-skip-to-content] {
-        display: none !important;
-      }
-    `;
+      ensurePinToggle(turn, getTurnKey(turn, index));
+    }
+  }
 
-    document.documentElement.appendChild(style);
+  /**
+   * Unpins all turns of the current conversation.
+   */
+  function unpinAllTurns() {
+    COLLAPSE_STATE.pinnedTurns.clear();
+    schedulePersistCollapseState();
   }
 
   /**
-   * Returns the best available list of conversation turn <article> elements.
-   * @returns {HTMLElement[]}
+   * Applies all optional collapsible features.
+   * @param {HTMLElement[]} turns
+   * @param {TrimmerSettings} settings
+   * @param {Set<HTMLElement>|null} pending Only these turns are processed (null = all).
    */
-  function getConversationTurns() {
-    let turns = Array.from(document.querySelectorAll(SELECTORS.conversationTurnsPrimary));
+  function applyCollapsibleFeatures(turns, settings, pending = null) {
+    applyMessageCollapsers(turns, settings.collapseOwnMessages, pending);
+    applyAssistantCollapsers(turns, settings, pending);
+    applyContentCollapsers(turns, settings.collapsedContentTypes, pending);
+    applyCodeCollapsers(turns, settings, pending);
+  }
 
-    if (turns.length === 0) {
-      turns = Array.from(document.querySelectorAll(SELECTORS.conversationTurnsFallback));
+  /**
+   * Returns whether the site is generating a response right now.
+   * @returns {boolean}
+   */
+  function isStreaming() {
+    const selector = siteAdapter.selectors.streaming;
+    return Boolean(selector) && Boolean(document.querySelector(selector));
+  }
+
+  /**
+   * Returns the turn being generated: the last turn, if it is not a user turn.
+   * @param {HTMLElement[]} turns
+   * @returns {HTMLElement|null}
+   */
+  function getStreamingTurn(turns) {
+    const lastTurn = turns[turns.length - 1];
+    return STREAMING_STATE.active && lastTurn && getTurnRole(lastTurn) !== "user" ? lastTurn : null;
+  }
+
+  /**
+   * Updates STREAMING_STATE for the current apply and watches for the end of generation.
+   * A page loaded during generation has no idle turn count yet; its current turn count is used instead.
+   * @param {number} turnCount
+   */
+  function updateStreamingState(turnCount) {
+    const conversationId = getConversationId();
+    const sameConversation = STREAMING_STATE.conversationId === conversationId;
+    STREAMING_STATE.conversationId = conversationId;
+
+    if (!isStreaming()) {
+      STREAMING_STATE.active = false;
+      STREAMING_STATE.idleTurnCount = turnCount;
+      return;
     }
 
-    const threadRoot = document.querySelector(SELECTORS.threadRoot);
-    if (threadRoot) {
-      turns = turns.filter((element) => threadRoot.contains(element));
+    if (!STREAMING_STATE.active && (!sameConversation || STREAMING_STATE.idleTurnCount === 0)) {
+      STREAMING_STATE.idleTurnCount = turnCount;
     }
 
-    return turns.filter((element) => element instanceof HTMLElement);
+    STREAMING_STATE.active = true;
+    watchStreamingMarker();
   }
 
   /**
-   * Finds a suitable parent container for the status banner.
-   * @param {HTMLElement[]} turns
-   * @returns {HTMLElement|null}
+   * Watches the element matching selectors.streaming: its attributes and the direct children of its ancestors
+   * (like watchObserverRoot), so the end of generation is noticed from mutations when the marker changes or leaves
+   * the page, also outside the observed thread root.
    */
-  function getBannerHost(turns) {
-    if (turns.length > 0 && turns[0].parentElement) {
-      return turns[0].parentElement;
+  function watchStreamingMarker() {
+    const marker = document.querySelector(siteAdapter.selectors.streaming);
+
+    if (!marker || marker === STREAMING_STATE.marker) {
+      return;
     }
 
-    const threadRoot = document.querySelector(SELECTORS.threadRoot);
-    if (threadRoot instanceof HTMLElement) {
-      return threadRoot;
+    if (!STREAMING_STATE.watcher) {
+      STREAMING_STATE.watcher = new MutationObserver(checkStreamingEnded);
     }
 
-    const mainRoot = document.querySelector(SELECTORS.mainRoot);
-    if (mainRoot instanceof HTMLElement) {
-      return mainRoot;
+    STREAMING_STATE.watcher.disconnect();
+    STREAMING_STATE.watcher.observe(marker, { attributes: true });
+
+    for (let ancestor = marker.parentNode; ancestor; ancestor = ancestor.parentNode) {
+      STREAMING_STATE.watcher.observe(ancestor, { childList: true });
     }
 
-    return document.body instanceof HTMLElement ? document.body : null;
+    STREAMING_STATE.marker = marker;
   }
 
   /**
-   * Removes the status banner if present.
+   * Runs one full apply when generation has finished (window shift, collapse toggles of the finished turn).
+   * While generation goes on, the watcher follows the marker, in case the site replaced it.
    */
-  function removeBanner() {
-    const existing = document.getElementById(IDS.banner);
-    if (existing) {
-      existing.remove();
+  function checkStreamingEnded() {
+    if (isStreaming()) {
+      watchStreamingMarker();
+      return;
     }
+
+    STREAMING_STATE.watcher.disconnect();
+    STREAMING_STATE.marker = null;
+    scheduleApply(TIMING.storageApplyMs);
   }
 
   /**
-   * Updates or creates the small banner that shows trim status.
-   * @param {number} hiddenCount
-   * @param {number} totalCount
-   * @param {number} keepLastN
+   * Returns the turns that still need collapse toggles and pin buttons, and marks them as processed.
+   * A full apply, other settings or a different first turn (another conversation, older turns loaded) start over.
+   * The turn being generated is left out unless its code may be collapsed while streaming; it is processed
+   * by the full apply after generation. When another turn becomes the latest answer, the previous one is processed
+   * again, because its clamped default changes. Detached turns wait until their content is back in the page.
    * @param {HTMLElement[]} turns
+   * @param {TrimmerSettings} settings
+   * @param {boolean} incremental
+   * @returns {Set<HTMLElement>}
    */
-  function updateBanner(hiddenCount, totalCount, keepLastN, turns) {
-    if (hiddenCount <= 0) {
-      removeBanner();
-      return;
+  function takePendingTurns(turns, settings, incremental) {
+    const signature = JSON.stringify([
+      getConversationId(),
+      settings.collapseOwnMessages,
+      settings.collapseCodeBlocks,
+      settings.showCodeToolbar,
+      settings.collapseAssistantMessages,
+      settings.assistantCollapseHeight,
+      settings.collapsedContentTypes
+    ]);
+
+    if (!incremental || signature !== TURN_CACHE.signature || turns[0] !== TURN_CACHE.firstTurn) {
+      TURN_CACHE.processed = new WeakSet();
+      TURN_CACHE.signature = signature;
+      TURN_CACHE.firstTurn = turns[0] || null;
     }
 
-    const host = getBannerHost(turns);
-    if (!host) {
-      return;
+    if (settings.collapseAssistantMessages) {
+      const latestAssistantTurn = getLatestAssistantTurn(turns);
+
+      if (latestAssistantTurn !== TURN_CACHE.latestAssistantTurn && TURN_CACHE.latestAssistantTurn) {
+        TURN_CACHE.processed.delete(TURN_CACHE.latestAssistantTurn);
+      }
+
+      TURN_CACHE.latestAssistantTurn = latestAssistantTurn;
     }
 
-    let banner = document.getElementById(IDS.banner);
-    if (!banner) {
-      banner = document.createElement("div");
-      banner.id = IDS.banner;
-      banner.setAttribute("role", "status");
-      banner.setAttribute("aria-live", "polite");
+    const pending = new Set(turns.filter((turn) => !TURN_CACHE.processed.has(turn) && !DETACHED_TURNS.has(turn)));
+    const streamingTurn = getStreamingTurn(turns);
 
-      if (turns.length > 0) {
-        host.insertBefore(banner, turns[0]);
-      } else {
-        host.prepend(banner);
-      }
+    if (streamingTurn && !settings.collapseCodeWhileStreaming) {
+      pending.delete(streamingTurn);
+    }
+
+    for (const turn of pending) {
+      TURN_CACHE.processed.add(turn);
     }
 
-    banner.textContent = `${hiddenCount} older messages hidden. Showing the last ${keepLastN} turns (${totalCount} total).`;
+    return pending;
   }
 
   /**
-   * Hides or shows one conversation turn.
-   * @param {HTMLElement} turn
-   * @param {boolean} hidden
+   * Applies trimming and records how long it took (APPLY_STATS and a performance measure).
+   * @param {{incremental?:boolean}} options incremental: only process new or changed turns (page updates).
+   * @returns {ReturnType<typeof runApply>}
    */
-  function setTurnHidden(turn, hidden) {
-    turn.classList.toggle(CLASSES.hiddenTurn, hidden);
+  async function applyTrimming(options = {}) {
+    const incremental = options.incremental === true;
+    const startedAt = performance.now();
+    const result = await runApply(incremental);
+    const durationMs = performance.now() - startedAt;
+
+    if (incremental) {
+      APPLY_STATS.incrementalCount += 1;
+    } else {
+      APPLY_STATS.fullCount += 1;
+    }
 
-    if (hidden) {
-      turn.setAttribute("data-cgpt-trimmer-hidden", "1");
-      return;
+    APPLY_STATS.totalMs += durationMs;
+    APPLY_STATS.lastMs = durationMs;
+    APPLY_STATS.maxMs = Math.max(APPLY_STATS.maxMs, durationMs);
+
+    try {
+      performance.measure(PERFORMANCE_MEASURE, { start: startedAt, detail: { incremental } });
+    } catch (_error) {
+      // Older browsers without measure options; the stats above are still recorded.
     }
 
-    turn.removeAttribute("data-cgpt-trimmer-hidden");
+    return result;
   }
 
   /**
-   * Shows all conversation turns immediately.
+   * Returns the apply timing for the popup's diagnostic report.
+   * @returns {{fullCount:number, incrementalCount:number, averageMs:number, maxMs:number, lastMs:number, lastProcessedTurns:number, mutationBatches:number, observedRoot:string}}
+   */
+  function getApplyStats() {
+    const count = APPLY_STATS.fullCount + APPLY_STATS.incrementalCount;
+    const root = OBSERVER_STATE.root;
+
+    return {
+      fullCount: APPLY_STATS.fullCount,
+      incrementalCount: APPLY_STATS.incrementalCount,
+      averageMs: count ? Math.round((APPLY_STATS.totalMs / count) * 10) / 10 : 0,
+      maxMs: Math.round(APPLY_STATS.maxMs * 10) / 10,
+      lastMs: Math.round(APPLY_STATS.lastMs * 10) / 10,
+      lastProcessedTurns: APPLY_STATS.lastProcessedTurns,
+      mutationBatches: APPLY_STATS.mutationBatches,
+      observedRoot: root ? `${root.tagName.toLowerCase()}${root.id ? `#${root.id}` : ""}` : ""
+    };
+  }
+
+  /**
+   * Applies trimming and optional UI features based on the effective settings of the current conversation.
+   * While the tab is suspended, all turns are shown and collapse toggles are removed instead.
+   * Hiding is recomputed for all turns (cheap class toggles); collapse toggles and pin buttons only for pending turns.
+   * While a response is generated, turns added since generation started count as newest and are never hidden.
+   * DOM element counts (before and after) are only computed for full applies, which are the ones reported to the popup.
+   * @param {boolean} incremental
+   * @returns {Promise<{ok:true, hiddenCount:number, totalCount:number, keepLastN:number, keepFirstN:number, autoReason?:string, scope:string, suspended:boolean, domNodeCountBefore?:number, domNodeCount?:number, detachedNodeCount?:number}>}
    */
-  function showAllTurns() {
+  async function runApply(incremental) {
+    ensureStyleTag();
+    await ensureSelectorOverridesLoaded();
+    await ensureCollapseRulesLoaded();
+
+    const settings = await getSettings();
+    await ensureCollapseStateLoaded();
     const turns = getConversationTurns();
+    const domNodeCountBefore = incremental ? null : countPageElements();
 
-    for (const turn of turns) {
-      setTurnHidden(turn, false);
+    if (!incremental) {
+      TURN_CACHE.elementCounts = new WeakMap();
+    }
+
+    applyMinimalUi(settings);
+    pruneDetachedTurns();
+    ensureViewStateForConversation();
+    setKeyboardNavigationEnabled(settings.keyboardNavigation);
+
+    const suspended = isSuspended();
+    updateStreamingState(turns.length);
+
+    if (turns.length === 0) {
+      removeBanner();
+      removeOutline();
+      return reportStatus({
+        ok: true,
+        hiddenCount: 0,
+        totalCount: 0,
+        keepLastN: settings.keepLastN,
+        keepFirstN: settings.keepFirstN,
+        scope: settings.scope,
+        suspended,
+        ...(incremental ? {} : getDomNodeCounts(domNodeCountBefore))
+      });
+    }
+
+    if (suspended) {
+      showAllTurns(turns);
+      cleanupMessageCollapsers();
+      cleanupAssistantCollapsers();
+      cleanupContentCollapsers(CONTENT_TYPES);
+      cleanupCodeCollapsers();
+      updateSuspendedBanner(turns.length, turns);
+      updateOutline(turns, settings.showOutline);
+
+      return reportStatus({
+        ok: true,
+        hiddenCount: 0,
+        totalCount: turns.length,
+        keepLastN: settings.keepLastN,
+        keepFirstN: settings.keepFirstN,
+        scope: settings.scope,
+        suspended,
+        ...(incremental ? {} : getDomNodeCounts(domNodeCountBefore))
+      });
+    }
+
+    const windowTurnCount = STREAMING_STATE.active ? Math.min(turns.length, STREAMING_STATE.idleTurnCount) : turns.length;
+    const keep = resolveKeepLastN(turns, windowTurnCount, settings);
+    const trimmedCount = Math.max(0, windowTurnCount - keep.count);
+    const firstVisibleIndex = resolveFirstVisibleIndex(turns, trimmedCount);
+    const gapIndex = Math.min(settings.keepFirstN, firstVisibleIndex);
+    let revealedCount = trimmedCount - firstVisibleIndex;
+    let hiddenCount = 0;
+    let pinnedCount = 0;
+
+    for (let index = 0; index < turns.length; index += 1) {
+      const isOlder = index >= gapIndex && index < firstVisibleIndex;
+      const pinned = isOlder && isTurnPinned(turns[index], index);
+      const turnKey = getTurnKey(turns[index], index);
+      const revealed = isOlder && !pinned && VIEW_STATE.revealedTurnKeys.has(turnKey);
+      const searchRevealed = isOlder && SEARCH_STATE.revealTurnKey === turnKey;
+      const shouldHide = isOlder && !pinned && !revealed && !searchRevealed;
+
+      if (shouldHide) {
+        hiddenCount += 1;
+      } else if (pinned) {
+        pinnedCount += 1;
+      } else if (revealed) {
+        revealedCount += 1;
+      }
+
+      setTurnHidden(turns[index], shouldHide, settings.detachHiddenTurns);
     }
 
-    removeBanner();
+    const pending = takePendingTurns(turns, settings, incremental);
+    APPLY_STATS.lastProcessedTurns = pending.size;
+
+    applyCollapsibleFeatures(turns, settings, pending);
+    applyPinToggles(turns, pending);
+    updateOutline(turns, settings.showOutline);
+    updateBanner(turns, {
+      hiddenCount,
+      totalCount: turns.length,
+      keepLastN: keep.count,
+      keepFirstN: settings.keepFirstN,
+      gapIndex,
+      revealedCount,
+      pinnedCount,
+      autoReason: keep.reason
+    });
+
+    return reportStatus({
+      ok: true,
+      hiddenCount,
+      totalCount: turns.length,
+      keepLastN: keep.count,
+      keepFirstN: settings.keepFirstN,
+      autoReason: keep.reason,
+      scope: settings.scope,
+      suspended,
+      ...(incremental ? {} : getDomNodeCounts(domNodeCountBefore))
+    });
   }
 
   /**
-   * Applies minimal UI toggles.
-   * @param {boolean} enabled
+   * Returns the number of elements a turn adds to the page, including content kept off-document in detach mode.
+   * @param {HTMLElement} turn
+   * @returns {number}
    */
-  function applyMinimalUi(enabled) {
-    document.documentElement.classList.toggle(CLASSES.minimalUi, enabled);
+  function countTurnElements(turn) {
+    const fragment = DETACHED_TURNS.get(turn);
+    return fragment ? fragment.querySelectorAll("*").length : turn.getElementsByTagName("*").length;
   }
 
   /**
-   * Returns a stable key for a turn to preserve collapse state across re-renders.
+   * Returns countTurnElements of a turn, counted once per full apply or change of the turn (TURN_CACHE.elementCounts).
    * @param {HTMLElement} turn
-   * @param {number} index
-   * @returns {string}
+   * @returns {number}
    */
-  function getTurnKey(turn, index) {
-    const testId = turn.getAttribute("data-testid");
-    const turnId = turn.getAttribute("data-turn-id");
-    const genericTurn = turn.getAttribute("data-turn");
+  function getTurnElementCount(turn) {
+    let count = TURN_CACHE.elementCounts.get(turn);
 
-    if (testId) {
-      return testId;
+    if (count === undefined) {
+      count = countTurnElements(turn);
+      TURN_CACHE.elementCounts.set(turn, count);
     }
 
-    if (turnId) {
-      return `turn-id:${turnId}`;
+    return count;
+  }
+
+  /**
+   * Returns how many recent turns stay visible, and in auto mode why.
+   * Auto mode counts the page elements of the turns from the newest one backwards and stops before the turn that would
+   * exceed autoElementBudget, but never below autoMinKeepLastN. Only turns inside the window are counted; with fewer
+   * turns than autoMinKeepLastN, all of them are kept and reported as they are.
+   * @param {HTMLElement[]} turns
+   * @param {number} windowTurnCount
+   * @param {TrimmerSettings} settings
+   * @returns {{count:number, reason:string}} reason is empty while N is fixed.
+   */
+  function resolveKeepLastN(turns, windowTurnCount, settings) {
+    if (!settings.autoKeepLastN) {
+      lastAutoKeep = null;
+      return { count: settings.keepLastN, reason: "" };
     }
 
-    if (genericTurn) {
-      return `turn:${genericTurn}`;
+    const budget = settings.autoElementBudget;
+    let used = 0;
+    let count = 0;
+
+    for (let index = windowTurnCount - 1; index >= 0; index -= 1) {
+      const cost = getTurnElementCount(turns[index]);
+
+      if (count >= settings.autoMinKeepLastN && used + cost > budget) {
+        break;
+      }
+
+      used += cost;
+      count += 1;
     }
 
-    return `turn-index:${index}`;
+    let template = LABELS.autoReasonBudget;
+    if (used > budget) {
+      template = count < settings.autoMinKeepLastN ? LABELS.autoReasonAll : LABELS.autoReasonMinimum;
+    }
+
+    const reason = formatLabel(template, {
+      count,
+      used: used.toLocaleString("en-US"),
+      budget: budget.toLocaleString("en-US")
+    });
+
+    lastAutoKeep = { count, reason };
+    return lastAutoKeep;
   }
 
   /**
-   * Finds the user message container inside a turn.
-   * This is the node that gets hidden/shown when collapsing "my message".
-   * @param {HTMLElement} turn
-   * @returns {HTMLElement|null}
+   * Sends the trim status to background.js, which shows it as toolbar badge of this tab.
+   * Only changed status is sent. A missing background worker is not an error.
+   * @param {{hiddenCount:number, totalCount:number, suspended:boolean}} result
+   * @returns {typeof result}
    */
-  function findUserMessageNode(turn) {
-    const node = turn.querySelector(SELECTORS.userRoleContainer);
-    return node instanceof HTMLElement ? node : null;
+  function reportStatus(result) {
+    const status = {
+      type: "TRIMMER_STATUS_UPDATE",
+      hiddenCount: result.hiddenCount,
+      totalCount: result.totalCount,
+      suspended: result.suspended
+    };
+    const serialized = JSON.stringify(status);
+
+    if (serialized !== lastReportedStatus) {
+      lastReportedStatus = serialized;
+
+      try {
+        chrome.runtime.sendMessage(status, () => {
+          // Read lastError so the browser does not log "Receiving end does not exist".
+          void chrome.runtime.lastError;
+        });
+      } catch (_error) {
+        // The extension was reloaded and this content script is orphaned.
+      }
+    }
+
+    return result;
   }
 
   /**
-   * Finds a child button by CSS class and a matching data attribute value.
-   * @param {ParentNode} root
-   * @param {string} className
-   * @param {string} attributeName
-   * @param {string} key
-   * @returns {HTMLButtonElement|null}
+   * Debounced apply to reduce flicker during streaming and React re-renders.
+   * A pending full apply is not downgraded by later incremental requests.
+   * @param {number} delayMs
+   * @param {boolean} incremental Only process new or changed turns (page updates).
    */
-  function findChildButtonByKey(root, className, attributeName, key) {
-    const buttons = root.querySelectorAll(`button.${className}`);
+  function scheduleApply(delayMs = TIMING.applyDebounceMs, incremental = false) {
+    if (!incremental) {
+      pendingFullApply = true;
+    }
 
-    for (const button of buttons) {
-      if (!(button instanceof HTMLButtonElement)) {
-        continue;
-      }
+    window.clearTimeout(applyTimer);
 
-      if (button.getAttribute(attributeName) === key) {
-        return button;
-      }
-    }
+    applyTimer = window.setTimeout(() => {
+      const full = pendingFullApply;
+      pendingFullApply = false;
 
-    return null;
+      applyTrimming({ incremental: !full }).catch((error) => {
+        console.error("[ChatGPT UI Trimmer] applyTrimming failed:", error);
+      });
+    }, delayMs);
   }
 
   /**
-   * Updates the collapsed state and label for a user message.
-   * @param {HTMLElement} messageNode
-   * @param {HTMLButtonElement} button
-   * @param {boolean} collapsed
+   * Returns whether a mutation only touches the extension's own UI (banner, toggles, outline, search bar).
+   * Those changes are caused by the extension itself and must not schedule another apply.
+   * @param {MutationRecord} mutation
+   * @returns {boolean}
    */
-  function setMessageCollapsed(messageNode, button, collapsed) {
-    messageNode.classList.toggle(CLASSES.collapsedUserMessage, collapsed);
-    button.setAttribute("aria-expanded", String(!collapsed));
-    button.textContent = collapsed ? LABELS.showMyMessage : LABELS.hideMyMessage;
+  function isOwnUiMutation(mutation) {
+    const target = mutation.target instanceof Element ? mutation.target : mutation.target.parentElement;
+    if (target && target.closest(OWN_UI_SELECTOR)) {
+      return true;
+    }
+
+    // Only detachTurn changes the children of a detached turn; the site's changes re-attach it first.
+    if (mutation.type === "childList" && DETACHED_TURNS.has(/** @type {HTMLElement} */ (mutation.target))) {
+      return true;
+    }
+
+    if (mutation.type !== "childList") {
+      return false;
+    }
+
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.length > 0 && nodes.every((node) => node instanceof Element && node.matches(OWN_UI_SELECTOR));
   }
 
   /**
-   * Ensures a collapse toggle exists for a user message and applies the current state.
-   * @param {HTMLElement} turn
-   * @param {HTMLElement} messageNode
-   * @param {string} messageKey
+   * Returns the turn containing a node, if any.
+   * @param {Node} node
+   * @returns {Element|null}
    */
-  function ensureMessageToggle(turn, messageNode, messageKey) {
-    const host = messageNode.parentElement || turn;
-    let button = findChildButtonByKey(turn, CLASSES.messageToggle, ATTRS.messageKey, messageKey);
+  function findTurnOfNode(node) {
+    const element = node instanceof Element ? node : node.parentElement;
+    return element ? element.closest(siteAdapter.selectors.turns.join(", ")) : null;
+  }
 
-    if (!button) {
-      button = document.createElement("button");
-      button.type = "button";
-      button.className = CLASSES.messageToggle;
-      button.setAttribute(ATTRS.messageKey, messageKey);
+  /**
+   * Returns the element to observe: the thread root, or the main container / body while there is none.
+   * @returns {Element|null}
+   */
+  function getObserverRoot() {
+    return getThreadRoot() || document.querySelector(siteAdapter.selectors.mainRoot) || document.body;
+  }
 
-      button.addEventListener("click", (event) => {
-        event.preventDefault();
-        event.stopPropagation();
+  /**
+   * Points the observer at the current observer root, if it changed.
+   */
+  function observeRoot() {
+    const root = getObserverRoot();
+    if (!observer || !root || root === OBSERVER_STATE.root) {
+      return;
+    }
 
-        const current = COLLAPSE_STATE.messages.get(messageKey) === true;
-        const next = !current;
+    observer.disconnect();
+    observer.observe(root, {
+      childList: true,
+      characterData: true,
+      subtree: true
+    });
+    OBSERVER_STATE.root = root;
+    OBSERVER_STATE.isFallback = root !== getThreadRoot();
+    watchObserverRoot(root);
+  }
 
-        COLLAPSE_STATE.messages.set(messageKey, next);
-        setMessageCollapsed(messageNode, button, next);
+  /**
+   * Watches the ancestors of the observed root (direct children only, which rarely change) and checks the root
+   * when one of them changes, so a removed root is noticed without polling.
+   * @param {Element} root
+   */
+  function watchObserverRoot(root) {
+    if (!OBSERVER_STATE.rootWatcher) {
+      OBSERVER_STATE.rootWatcher = new MutationObserver(() => {
+        if (!OBSERVER_STATE.root || !OBSERVER_STATE.root.isConnected) {
+          checkObserverRoot();
+        }
       });
     }
 
-    if (button.parentElement !== host || button.nextSibling !== messageNode) {
-      host.insertBefore(button, messageNode);
-    }
+    OBSERVER_STATE.rootWatcher.disconnect();
 
-    if (!COLLAPSE_STATE.messages.has(messageKey)) {
-      COLLAPSE_STATE.messages.set(messageKey, true);
+    for (let ancestor = root.parentNode; ancestor; ancestor = ancestor.parentNode) {
+      OBSERVER_STATE.rootWatcher.observe(ancestor, { childList: true });
     }
-
-    setMessageCollapsed(messageNode, button, COLLAPSE_STATE.messages.get(messageKey) === true);
   }
 
   /**
-   * Removes all user-message collapse UI and restores message visibility.
+   * Re-targets the observer when the observed root was replaced or the thread root appeared, and runs a full apply
+   * when the root or the URL path changed. Runs on navigation, when the root is removed, while the observer waits
+   * for the thread root, and when the tab becomes visible again.
    */
-  function cleanupMessageCollapsers() {
-    const buttons = document.querySelectorAll(`button.${CLASSES.messageToggle}`);
-    for (const button of buttons) {
-      button.remove();
-    }
+  function checkObserverRoot() {
+    const pathChanged = window.location.pathname !== OBSERVER_STATE.pathname;
+    const root = OBSERVER_STATE.root;
+    const rootChanged = !root || !root.isConnected || getObserverRoot() !== root;
 
-    const nodes = document.querySelectorAll(`.${CLASSES.collapsedUserMessage}`);
-    for (const node of nodes) {
-      node.classList.remove(CLASSES.collapsedUserMessage);
+    if (!pathChanged && !rootChanged) {
+      return;
     }
+
+    OBSERVER_STATE.pathname = window.location.pathname;
+    observeRoot();
+    scheduleApply(TIMING.applyDebounceMs);
   }
 
   /**
-   * Applies collapsible toggles for user messages.
-   * @param {HTMLElement[]} turns
-   * @param {boolean} enabled
+   * Starts a MutationObserver on the thread root to re-apply trimming on page updates.
+   * Changed turns are marked for reprocessing; the apply itself is incremental.
    */
-  function applyMessageCollapsers(turns, enabled) {
-    if (!enabled) {
-      cleanupMessageCollapsers();
+  function startObserver() {
+    if (observer) {
       return;
     }
 
-    for (let index = 0; index < turns.length; index += 1) {
-      const turn = turns[index];
-      const messageNode = findUserMessageNode(turn);
+    observer = new MutationObserver((mutations) => {
+      let changed = false;
 
-      if (!messageNode) {
-        continue;
+      for (const mutation of mutations) {
+        if (isOwnUiMutation(mutation)) {
+          continue;
+        }
+
+        changed = true;
+
+        const turn = findTurnOfNode(mutation.target);
+        if (turn instanceof HTMLElement) {
+          TURN_CACHE.processed.delete(turn);
+          TURN_CACHE.elementCounts.delete(turn);
+        }
       }
 
-      const messageKey = `${getTurnKey(turn, index)}::user-message`;
-      ensureMessageToggle(turn, messageNode, messageKey);
-    }
-  }
+      if (changed) {
+        APPLY_STATS.mutationBatches += 1;
+        scheduleApply(TIMING.applyDebounceMs, true);
+      }
 
-  /**
-   * Updates the collapsed state and label for a code block.
-   * Only the <pre> is hidden, so copy buttons in the code header keep working.
-   * @param {HTMLElement} preElement
-   * @param {HTMLButtonElement} button
-   * @param {boolean} collapsed
-   */
-  function setCodeCollapsed(preElement, button, collapsed) {
-    preElement.classList.toggle(CLASSES.collapsedCodeBlock, collapsed);
-    button.setAttribute("aria-expanded", String(!collapsed));
-    button.textContent = collapsed ? LABELS.showCode : LABELS.hideCode;
+      // The thread root appears inside the fallback container the observer watches until then.
+      if (OBSERVER_STATE.isFallback && getThreadRoot()) {
+        checkObserverRoot();
+      }
+    });
+
+    OBSERVER_STATE.pathname = window.location.pathname;
+    observeRoot();
+    watchNavigation();
   }
 
   /**
-   * Ensures a collapse toggle exists for a code block and applies the current state.
-   * @param {HTMLElement} preElement
-   * @param {string} codeKey
+   * Checks the observer root after every navigation. The chat sites switch conversations with history.pushState,
+   * which only the Navigation API reports; popstate covers back/forward where that API is missing.
    */
-  function ensureCodeToggle(preElement, codeKey) {
-    const host = preElement.parentElement;
-    if (!host) {
+  function watchNavigation() {
+    if (window.navigation && typeof window.navigation.addEventListener === "function") {
+      window.navigation.addEventListener("currententrychange", checkObserverRoot);
       return;
     }
 
-    let button = findChildButtonByKey(host, CLASSES.codeToggle, ATTRS.codeKey, codeKey);
-
-    if (!button) {
-      button = document.createElement("button");
-      button.type = "button";
-      button.className = CLASSES.codeToggle;
-      button.setAttribute(ATTRS.codeKey, codeKey);
-
-      button.addEventListener("click", (event) => {
-        event.preventDefault();
-        event.stopPropagation();
-
-        const current = COLLAPSE_STATE.codeBlocks.get(codeKey) === true;
-        const next = !current;
+    window.addEventListener("popstate", checkObserverRoot);
+  }
 
-        COLLAPSE_STATE.codeBlocks.set(codeKey, next);
-        setCodeCollapsed(preElement, button, next);
-      });
-    }
+  /**
+   * Turns keyboard navigation on or off. Turning it off removes the focus ring.
+   * @param {boolean} enabled
+   */
+  function setKeyboardNavigationEnabled(enabled) {
+    NAVIGATION_STATE.enabled = enabled;
 
-    if (button.parentElement !== host || button.nextSibling !== preElement) {
-      host.insertBefore(button, preElement);
+    if (!enabled) {
+      clearNavigationFocus();
     }
+  }
 
-    if (!COLLAPSE_STATE.codeBlocks.has(codeKey)) {
-      COLLAPSE_STATE.codeBlocks.set(codeKey, true);
+  /**
+   * Removes the focus ring and forgets the navigation target.
+   */
+  function clearNavigationFocus() {
+    if (NAVIGATION_STATE.target) {
+      NAVIGATION_STATE.target.classList.remove(CLASSES.navigationFocus);
     }
 
-    setCodeCollapsed(preElement, button, COLLAPSE_STATE.codeBlocks.get(codeKey) === true);
+    NAVIGATION_STATE.target = null;
   }
 
   /**
-   * Removes all code collapse UI and restores code visibility.
+   * Returns whether a key event comes from a place where the user types (inputs, text areas, the message editor).
+   * @param {EventTarget|null} target
+   * @returns {boolean}
    */
-  function cleanupCodeCollapsers() {
-    const buttons = document.querySelectorAll(`button.${CLASSES.codeToggle}`);
-    for (const button of buttons) {
-      button.remove();
+  function isTypingTarget(target) {
+    if (!(target instanceof Element)) {
+      return false;
     }
 
-    const nodes = document.querySelectorAll(`.${CLASSES.collapsedCodeBlock}`);
-    for (const node of nodes) {
-      node.classList.remove(CLASSES.collapsedCodeBlock);
+    if (target instanceof HTMLElement && target.isContentEditable) {
+      return true;
     }
+
+    return Boolean(target.closest("input, textarea, select, [contenteditable]:not([contenteditable='false'])"));
   }
 
   /**
-   * Applies collapsible toggles for code blocks.
-   * @param {HTMLElement[]} turns
-   * @param {boolean} enabled
+   * Returns the turns the user can see: hidden turns are skipped by keyboard navigation.
+   * @returns {HTMLElement[]}
    */
-  function applyCodeCollapsers(turns, enabled) {
-    if (!enabled) {
-      cleanupCodeCollapsers();
-      return;
-    }
-
-    for (let turnIndex = 0; turnIndex < turns.length; turnIndex += 1) {
-      const turn = turns[turnIndex];
-      const turnKey = getTurnKey(turn, turnIndex);
-      const preBlocks = turn.querySelectorAll(SELECTORS.codeBlocks);
+  function getVisibleTurns() {
+    return getConversationTurns().filter((turn) => !turn.classList.contains(CLASSES.hiddenTurn));
+  }
 
-      let codeIndex = 0;
+  /**
+   * Returns the elements a navigation action moves between, in page order.
+   * @param {string} action Value from NAVIGATION_KEYS.
+   * @returns {HTMLElement[]}
+   */
+  function getNavigationCandidates(action) {
+    const turns = getVisibleTurns();
 
-      for (const preBlock of preBlocks) {
-        if (!(preBlock instanceof HTMLElement)) {
-          continue;
-        }
+    if (action === "nextUserMessage" || action === "previousUserMessage") {
+      return turns.filter((turn) => getTurnRole(turn) === "user");
+    }
 
-        const codeKey = `${turnKey}::code-block:${codeIndex}`;
-        ensureCodeToggle(preBlock, codeKey);
-        codeIndex += 1;
-      }
+    if (action === "nextCodeBlock" || action === "previousCodeBlock") {
+      return turns.flatMap((turn) =>
+        Array.from(turn.querySelectorAll(siteAdapter.selectors.codeBlocks)).filter(
+          (pre) => pre instanceof HTMLElement
+        )
+      );
     }
+
+    return turns;
   }
 
   /**
-   * Applies all optional collapsible features.
-   * @param {HTMLElement[]} turns
-   * @param {{collapseOwnMessages:boolean, collapseCodeBlocks:boolean}} settings
+   * Returns the element navigation starts from: the last navigation target, unless the user has since moved
+   * the focus into another turn (e.g. by clicking or with Tab). null when there is none.
+   * @returns {HTMLElement|null}
    */
-  function applyCollapsibleFeatures(turns, settings) {
-    applyMessageCollapsers(turns, settings.collapseOwnMessages);
-    applyCodeCollapsers(turns, settings.collapseCodeBlocks);
+  function getNavigationStart() {
+    const target = NAVIGATION_STATE.target && NAVIGATION_STATE.target.isConnected ? NAVIGATION_STATE.target : null;
+    const active = document.activeElement;
+    // The toggle of a code block sits in the toolbar before it, outside the block.
+    const ownFocus = target && (target.contains(active) || active === findNavigationFocusButton(target));
+
+    if (active && active !== document.body && !ownFocus) {
+      const turn = findTurnOfNode(active);
+      if (turn instanceof HTMLElement) {
+        return turn;
+      }
+    }
+
+    return target;
   }
 
   /**
-   * Applies trimming and optional UI features based on current settings.
-   * @returns {Promise<{ok:true, hiddenCount:number, totalCount:number, keepLastN:number}>}
+   * Picks the candidate after or before the start element in page order. Without a start element, the first
+   * candidate at or below the top of the window (forward) or the last one above it (backward) is picked.
+   * Elements that contain the start element count as before it, so "previous" leaves the current turn.
+   * @param {HTMLElement[]} candidates
+   * @param {HTMLElement|null} start
+   * @param {boolean} forward
+   * @returns {HTMLElement|null}
    */
-  async function applyTrimming() {
-    ensureStyleTag();
+  function findNavigationCandidate(candidates, start, forward) {
+    if (!start) {
+      const below = candidates.filter((element) => element.getBoundingClientRect().top >= 0);
+      const above = candidates.filter((element) => element.getBoundingClientRect().top < 0);
+      return (forward ? below[0] : above[above.length - 1]) || null;
+    }
 
-    const settings = await loadSettings();
-    const turns = getConversationTurns();
+    const after = candidates.filter(
+      (element) =>
+        element !== start &&
+        !element.contains(start) &&
+        Boolean(start.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING)
+    );
+    const before = candidates.filter(
+      (element) =>
+        element !== start &&
+        !start.contains(element) &&
+        Boolean(start.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_PRECEDING)
+    );
 
-    applyMinimalUi(settings.minimalUi);
+    return (forward ? after[0] : before[before.length - 1]) || null;
+  }
 
-    if (turns.length === 0) {
-      removeBanner();
-      return {
-        ok: true,
-        hiddenCount: 0,
-        totalCount: 0,
-        keepLastN: settings.keepLastN
-      };
+  /**
+   * Returns the button of the extension that takes the keyboard focus for a navigation target: its collapse toggle,
+   * else the pin button of a turn. The site's own elements are never made focusable. null when there is none.
+   * @param {HTMLElement} element
+   * @returns {HTMLButtonElement|null}
+   */
+  function findNavigationFocusButton(element) {
+    const toggle = findNavigationToggle(element);
+    if (toggle) {
+      return toggle;
     }
 
-    const hiddenCount = Math.max(0, turns.length - settings.keepLastN);
+    const pin = element.matches(siteAdapter.selectors.codeBlocks)
+      ? null
+      : element.querySelector(`button.${CLASSES.pinToggle}`);
+    return pin instanceof HTMLButtonElement ? pin : null;
+  }
 
-    for (let index = 0; index < turns.length; index += 1) {
-      const shouldHide = index < hiddenCount;
-      setTurnHidden(turns[index], shouldHide);
+  /**
+   * Moves the focus ring to a turn or code block, scrolls it into view and moves the keyboard focus to its
+   * toggle (see findNavigationFocusButton).
+   * @param {HTMLElement} element
+   */
+  function focusNavigationTarget(element) {
+    if (NAVIGATION_STATE.target && NAVIGATION_STATE.target !== element) {
+      NAVIGATION_STATE.target.classList.remove(CLASSES.navigationFocus);
     }
 
-    applyCollapsibleFeatures(turns, settings);
-    updateBanner(hiddenCount, turns.length, settings.keepLastN, turns);
+    element.classList.add(CLASSES.navigationFocus);
+    NAVIGATION_STATE.target = element;
 
-    return {
-      ok: true,
-      hiddenCount,
-      totalCount: turns.length,
-      keepLastN: settings.keepLastN
-    };
+    const button = findNavigationFocusButton(element);
+    if (button) {
+      button.focus({ preventScroll: true });
+    }
+
+    element.scrollIntoView({ block: "start", behavior: "smooth" });
   }
 
   /**
-   * Debounced apply to reduce flicker during streaming and React re-renders.
-   * @param {number} delayMs
+   * Returns the collapse toggle of a navigation target: the code toggle of a code block, or the message
+   * toggle (user turn) or Read more toggle (assistant turn) of a turn. null when the item cannot collapse.
+   * @param {HTMLElement} element
+   * @returns {HTMLButtonElement|null}
    */
-  function scheduleApply(delayMs = TIMING.applyDebounceMs) {
-    window.clearTimeout(applyTimer);
+  function findNavigationToggle(element) {
+    if (element.matches(siteAdapter.selectors.codeBlocks)) {
+      const toolbar = element.previousElementSibling;
+      const button =
+        toolbar && toolbar.classList.contains(CLASSES.codeToolbar)
+          ? toolbar.querySelector(`button.${CLASSES.codeToggle}`)
+          : null;
+      return button instanceof HTMLButtonElement ? button : null;
+    }
 
-    applyTimer = window.setTimeout(() => {
-      applyTrimming().catch((error) => {
-        console.error("[ChatGPT UI Trimmer] applyTrimming failed:", error);
-      });
-    }, delayMs);
+    const button = element.querySelector(`button.${CLASSES.messageToggle}, button.${CLASSES.assistantToggle}`);
+    return button instanceof HTMLButtonElement ? button : null;
   }
 
   /**
-   * Starts a MutationObserver to re-apply trimming on UI changes.
+   * Handles the keys of the opt-in keyboard navigation (see NAVIGATION_KEYS).
+   * @param {KeyboardEvent} event
    */
-  function startObserver() {
-    if (observer) {
+  function handleNavigationKey(event) {
+    if (!NAVIGATION_STATE.enabled || event.defaultPrevented || event.isComposing) {
       return;
     }
 
-    observer = new MutationObserver((mutations) => {
-      for (const mutation of mutations) {
-        if (mutation.type === "childList") {
-          scheduleApply(TIMING.applyDebounceMs);
-          return;
-        }
+    if (!event.altKey || event.ctrlKey || event.metaKey || isTypingTarget(event.target)) {
+      return;
+    }
+
+    const key = event.shiftKey ? `Shift+${event.code}` : event.code;
+    const action = Object.prototype.hasOwnProperty.call(NAVIGATION_KEYS, key) ? NAVIGATION_KEYS[key] : "";
+    if (!action) {
+      return;
+    }
+
+    const start = getNavigationStart();
+
+    if (action === "toggleFocused") {
+      const button = start ? findNavigationToggle(start) : null;
+      if (!button) {
+        return;
       }
-    });
 
-    const root = document.documentElement || document.body;
-    if (!root) {
+      event.preventDefault();
+      button.click();
       return;
     }
 
-    observer.observe(root, {
-      childList: true,
-      subtree: true
-    });
+    const forward = action.startsWith("next");
+    const next = findNavigationCandidate(getNavigationCandidates(action), start, forward);
+    if (!next) {
+      return;
+    }
+
+    event.preventDefault();
+    focusNavigationTarget(next);
   }
 
   /**
    * Adds global listeners used to preserve usability when a user message is collapsed.
    * If the user clicks any non-toggle button inside a collapsed user turn, the turn is auto-expanded first.
+   * Also listens for the keys of the opt-in keyboard navigation.
    */
   function attachGlobalListeners() {
     if (listenersAttached) {
@@ -719,11 +5873,11 @@ AI-Instructions:
           return;
         }
 
-        if (target.closest(`button.${CLASSES.messageToggle}`)) {
+        if (target.closest(`button.${CLASSES.messageToggle}, button.${CLASSES.pinToggle}`)) {
           return;
         }
 
-        const turn = target.closest("article");
+        const turn = findTurnOfNode(target);
         if (!(turn instanceof HTMLElement)) {
           return;
         }
@@ -744,17 +5898,19 @@ AI-Instructions:
 
         const messageKey = button.getAttribute(ATTRS.messageKey);
         if (messageKey) {
-          COLLAPSE_STATE.messages.set(messageKey, false);
+          setStoredCollapsed("messages", messageKey, false);
         }
 
         setMessageCollapsed(messageNode, button, false);
       },
       true
     );
+
+    document.addEventListener("keydown", handleNavigationKey);
   }
 
   /**
-   * Handles messages from popup.js.
+   * Handles messages from popup.js and background.js.
    */
   chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     if (!message || typeof message !== "object") {
@@ -762,15 +5918,16 @@ AI-Instructions:
     }
 
     if (message.type === "TRIMMER_APPLY") {
-      const nextSettings = {
-        keepLastN: clampKeepLastN(message.keepLastN),
-        minimalUi: Boolean(message.minimalUi),
-        collapseOwnMessages: Boolean(message.collapseOwnMessages),
-        collapseCodeBlocks: Boolean(message.collapseCodeBlocks)
-      };
+      // popup.js has saved the settings already; it is their only writer for Apply.
+      useAppliedSettings(message);
 
-      saveSettings(nextSettings)
-        .then(() => applyTrimming())
+      // Applying new settings drops older turns revealed from the banner and ends a suspended state.
+      clearRevealedTurns();
+      SUSPEND_STATE.suspended = false;
+      SUSPEND_STATE.conversationId = null;
+      storeSuspendState();
+
+      applyTrimming()
         .then((result) => sendResponse(result))
         .catch((error) => {
           sendResponse({
@@ -782,32 +5939,123 @@ AI-Instructions:
       return true;
     }
 
-    if (message.type === "TRIMMER_SHOW_ALL") {
-      showAllTurns();
-      sendResponse({
-        ok: true,
-        hiddenCount: 0
-      });
+    if (message.type === "TRIMMER_SHOW_ALL" || message.type === "TRIMMER_RESUME") {
+      const action = message.type === "TRIMMER_SHOW_ALL" ? suspendTrimming : resumeTrimming;
+
+      action()
+        .then((result) => sendResponse(result))
+        .catch((error) => {
+          sendResponse({
+            ok: false,
+            error: String(error)
+          });
+        });
+
+      return true;
+    }
+
+    if (message.type === "TRIMMER_UNPIN_ALL") {
+      ensureCollapseStateLoaded()
+        .then(() => {
+          unpinAllTurns();
+          return applyTrimming();
+        })
+        .then((result) => sendResponse(result))
+        .catch((error) => {
+          sendResponse({
+            ok: false,
+            error: String(error)
+          });
+        });
+
+      return true;
+    }
+
+    if (message.type === "TRIMMER_COMMAND") {
+      runCommand(String(message.command))
+        .then((result) => sendResponse(result))
+        .catch((error) => {
+          sendResponse({
+            ok: false,
+            error: String(error)
+          });
+        });
+
+      return true;
+    }
+
+    if (message.type === "TRIMMER_EXPORT") {
+      try {
+        sendResponse(exportConversation(message));
+      } catch (error) {
+        sendResponse({
+          ok: false,
+          error: String(error)
+        });
+      }
       return;
     }
 
-    if (message.type === "TRIMMER_STATUS") {
-      const turns = getConversationTurns();
-      const hiddenCount = turns.filter((turn) => turn.classList.contains(CLASSES.hiddenTurn)).length;
+    if (message.type === "TRIMMER_COPY_ALL_CODE" || message.type === "TRIMMER_DOWNLOAD_CODE_ZIP") {
+      try {
+        sendResponse(message.type === "TRIMMER_COPY_ALL_CODE" ? copyAllCodeBlocks() : downloadAllCodeBlocks());
+      } catch (error) {
+        sendResponse({
+          ok: false,
+          error: String(error)
+        });
+      }
+      return;
+    }
 
-      sendResponse({
-        ok: true,
-        totalCount: turns.length,
-        hiddenCount
-      });
+    if (message.type === "TRIMMER_TEST_SELECTORS") {
+      if (message.siteId && message.siteId !== SITE_ADAPTER.id) {
+        sendResponse({
+          ok: false,
+          siteId: SITE_ADAPTER.id,
+          error: `This tab uses the ${SITE_ADAPTER.id} adapter.`
+        });
+        return;
+      }
+
+      sendResponse(testSelectors(message.override));
       return;
     }
+
+    if (message.type === "TRIMMER_STATUS") {
+      ensureSelectorOverridesLoaded()
+        .then(() => {
+          const turns = getConversationTurns();
+          const hiddenCount = turns.filter((turn) => turn.classList.contains(CLASSES.hiddenTurn)).length;
+
+          sendResponse({
+            ok: true,
+            totalCount: turns.length,
+            hiddenCount,
+            pinnedCount: COLLAPSE_STATE.pinnedTurns.size,
+            suspended: isSuspended(),
+            diagnostics: getDiagnostics(),
+            applyStats: getApplyStats(),
+            autoKeep: lastAutoKeep,
+            ...getDomNodeCounts()
+          });
+        })
+        .catch((error) => {
+          sendResponse({
+            ok: false,
+            error: String(error)
+          });
+        });
+
+      return true;
+    }
   });
 
   /**
    * Initializes the content script.
    */
   function init() {
+    restoreSuspendState();
     ensureStyleTag();
     attachGlobalListeners();
     startObserver();
@@ -816,23 +6064,45 @@ AI-Instructions:
 
     window.addEventListener("load", () => scheduleApply(TIMING.loadApplyMs), { once: true });
 
+    // Flush pending collapse toggles before the page goes away (reload, tab close).
+    window.addEventListener("pagehide", () => {
+      if (persistCollapseTimer !== null) {
+        persistCollapseState().catch(() => {});
+      }
+    });
+
     document.addEventListener("visibilitychange", () => {
       if (document.visibilityState === "visible") {
+        checkObserverRoot();
         scheduleApply(TIMING.visibleApplyMs);
       }
     });
 
     chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && STORAGE_KEYS.conversationOverrides in changes) {
+        clearSettingsCache();
+        scheduleApply(TIMING.storageApplyMs);
+        return;
+      }
+
       if (areaName !== "sync") {
         return;
       }
 
-      if (
-        "keepLastN" in changes ||
-        "minimalUi" in changes ||
-        "collapseOwnMessages" in changes ||
-        "collapseCodeBlocks" in changes
-      ) {
+      if (STORAGE_KEYS.selectorOverrides in changes) {
+        selectorOverridesLoading = null;
+        scheduleApply(TIMING.storageApplyMs);
+        return;
+      }
+
+      if (STORAGE_KEYS.collapseRules in changes) {
+        collapseRulesLoading = null;
+        scheduleApply(TIMING.storageApplyMs);
+        return;
+      }
+
+      if (Object.keys(DEFAULT_SETTINGS).some((key) => key in changes)) {
+        clearSettingsCache();
         scheduleApply(TIMING.storageApplyMs);
       }
     });
@@ -0,0 +1,70 @@
+/*
+Filename: detach-guard.js
+Purpose:
+- Makes detach mode (content.js, setting detachHiddenTurns) safe for the chat site's own code.
+- Runs in the page's JavaScript world (manifest "world": "MAIN"), so it sees the DOM calls of the site (React on
+  ChatGPT and Claude, Angular on Gemini). content.js runs in an isolated world and cannot see them.
+- Before the site inserts, removes or replaces a child of a turn whose content content.js has detached, it asks
+  content.js to put the content back. The site's call then finds the nodes where it left them.
+
+Inputs:
+- appendChild, insertBefore, removeChild and replaceChild calls of the page
+- DETACHED_ATTR on turns whose content content.js keeps off-document
+
+Outputs:
+- REATTACH_EVENT dispatched on such a turn; content.js handles it synchronously, before the page's call continues
+
+Dependencies:
+- manifest.json registers this as content script in the MAIN world, before the page's scripts run
+- content.js detaches and re-attaches the content of hidden turns
+
+Processes:
+- Wrap the four Node methods the page uses to change children
+- Dispatch REATTACH_EVENT when the parent is a detached turn, then run the original method
+
+AI-Instructions:
+- When editing this file, always output drop-in code (no diff markers, no +/- lines).
+- Always include the filename and full updated declarations in the response.
+- Keep this code as simple as possible. Comment everything perfectly understandable
+- Prefer Config-Class values over literals; ask if a new constant is needed.
+*/
+
+(() => {
+  "use strict";
+
+  /**
+   * Attribute content.js sets on a turn while its content is detached. Must match ATTRS.detached in content.js.
+   */
+  const DETACHED_ATTR = "data-cgpt-trimmer-detached";
+
+  /**
+   * Event that asks content.js to re-attach a turn's content. Must match EVENTS.reattach in content.js.
+   */
+  const REATTACH_EVENT = "cgpt-trimmer-reattach";
+
+  /**
+   * Node methods that change the children of their receiver. Only calls on the detached turn itself need the
+   * content back: deeper nodes are still connected to each other inside the detached fragment.
+   */
+  const GUARDED_METHODS = Object.freeze(["appendChild", "insertBefore", "removeChild", "replaceChild"]);
+
+  /**
+   * Asks content.js to re-attach the content of a turn, if it is detached.
+   * dispatchEvent runs the listener synchronously, also across worlds.
+   * @param {Node} parent Receiver of the DOM call.
+   */
+  function reattachIfDetached(parent) {
+    if (parent instanceof Element && parent.hasAttribute(DETACHED_ATTR)) {
+      parent.dispatchEvent(new CustomEvent(REATTACH_EVENT));
+    }
+  }
+
+  for (const name of GUARDED_METHODS) {
+    const original = Node.prototype[name];
+
+    Node.prototype[name] = function (...args) {
+      reattachIfDetached(this);
+      return original.apply(this, args);
+    };
+  }
+})();
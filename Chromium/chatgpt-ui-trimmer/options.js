@@ -0,0 +1,828 @@
+/*
+Filename: options.js
+Purpose:
+- Controls the options page of the ChatGPT UI Trimmer extension.
+- Loads and saves selector overrides per site in chrome.storage.sync.
+- Tests the selectors on the open chat tab and shows the match count per selector.
+- Exports and imports the overrides as a JSON file, so one person can share a fix with a team.
+- Loads, validates and saves the auto-collapse rules in chrome.storage.sync.
+
+Inputs:
+- Options form values:
+  - site
+  - turns (one selector per line)
+  - userRole, userMessage, assistantMessage, codeBlocks, threadRoot, streaming
+  - minimal UI targets (one selector per named target)
+  - auto-collapse rules (length limits, message regular expressions, code languages)
+- Imported JSON files
+
+Outputs:
+- chrome.storage.sync selectorOverrides
+- chrome.storage.sync collapseRules
+- TRIMMER_TEST_SELECTORS messages to content.js
+- Downloaded JSON export
+- Status text on the options page
+
+Dependencies:
+- options.html
+- content.js (applies the overrides, answers selector tests)
+- chrome.storage.sync
+- chrome.tabs messaging
+
+Processes:
+- Read overrides of the selected site into the form
+- Validate and save the form
+- Find the most recently used chat tab and test the form's selectors there
+- Export / import all overrides
+- Read, validate and save the auto-collapse rules
+
+AI-Instructions:
+- When editing this file, always output drop-in code (no diff markers, no +/- lines).
+- Always include the filename and full updated declarations in the response.
+- Keep this code as simple as possible. Comment everything perfectly understandable
+- Prefer Config-Class values over literals; ask if a new constant is needed.
+*/
+
+"use strict";
+
+const STORAGE_KEYS = Object.freeze({
+  selectorOverrides: "selectorOverrides",
+  collapseRules: "collapseRules"
+});
+
+/**
+ * Auto-collapse rules used when none are saved (collapse everything, like before rules existed).
+ * Must match DEFAULT_COLLAPSE_RULES in content.js.
+ */
+const DEFAULT_COLLAPSE_RULES = Object.freeze({
+  messageMinChars: 0,
+  messageMinLines: 0,
+  messagePatterns: Object.freeze([]),
+  codeMinLines: 0,
+  alwaysCollapseLanguages: Object.freeze([]),
+  neverCollapseLanguages: Object.freeze([])
+});
+
+/**
+ * Flags the content script compiles messagePatterns with. Must match COLLAPSE_RULE_REGEX_FLAGS in content.js.
+ */
+const REGEX_FLAGS = "im";
+
+/**
+ * Number fields of the rules form and their largest accepted value.
+ */
+const RULE_LIMITS = Object.freeze({
+  messageMinChars: 100000,
+  messageMinLines: 10000,
+  codeMinLines: 10000
+});
+
+/**
+ * Sites with a site adapter. Must match the IDs of SITE_ADAPTERS in content.js.
+ */
+const SITES = Object.freeze([
+  { id: "chatgpt", label: "ChatGPT" },
+  { id: "claude", label: "Claude" },
+  { id: "gemini", label: "Gemini" }
+]);
+
+/**
+ * Pages the content script runs on. Must match content_scripts.matches in manifest.json.
+ */
+const CHAT_URL_PATTERNS = Object.freeze([
+  "https://chatgpt.com/*",
+  "https://chat.openai.com/*",
+  "https://claude.ai/*",
+  "https://gemini.google.com/*"
+]);
+
+/**
+ * Overridable single selectors and the form inputs holding them ("turns" is a list, one selector per line).
+ * Must match OVERRIDABLE_SELECTOR_KEYS in content.js.
+ */
+const SELECTOR_FIELDS = Object.freeze([
+  "turns",
+  "userRole",
+  "userMessage",
+  "assistantMessage",
+  "codeBlocks",
+  "threadRoot",
+  "streaming"
+]);
+
+/**
+ * Named page parts that can be hidden. Must match UI_PARTS in content.js and popup.js.
+ * Not every site has every target; an override adds the target for that site.
+ */
+const MINIMAL_UI_TARGETS = Object.freeze([
+  { name: "sidebar", label: "Sidebar" },
+  { name: "shareButton", label: "Share button" },
+  { name: "conversationOptions", label: "Conversation options button" },
+  { name: "skipLink", label: "Skip to content link" },
+  { name: "modelPicker", label: "Model picker" },
+  { name: "disclaimer", label: "Disclaimer below the input" },
+  { name: "upsellBanners", label: "Upgrade and upsell banners" }
+]);
+
+const EXPORT_FILE = Object.freeze({
+  name: "chatgpt-ui-trimmer-selectors.json",
+  version: 1
+});
+
+const TIMING = Object.freeze({
+  // The download may start asynchronously, so the object URL is revoked later.
+  revokeExportUrlMs: 10000
+});
+
+const ID_PREFIXES = Object.freeze({
+  selector: "selector-",
+  target: "target-",
+  rule: "rule-"
+});
+
+/**
+ * Site shown in the form and all stored overrides (keyed by site ID).
+ */
+const OPTIONS_STATE = {
+  siteId: SITES[0].id,
+  overrides: {}
+};
+
+/**
+ * Promise wrapper for chrome.storage.sync.get of all selector overrides.
+ * @returns {Promise<object>}
+ */
+function loadOverrides() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ [STORAGE_KEYS.selectorOverrides]: {} }, (result) => {
+      resolve(normalizeOverrides(result[STORAGE_KEYS.selectorOverrides]));
+    });
+  });
+}
+
+/**
+ * Promise wrapper for chrome.storage.sync.set of all selector overrides.
+ * @param {object} overrides
+ * @returns {Promise<void>}
+ */
+function saveOverrides(overrides) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set({ [STORAGE_KEYS.selectorOverrides]: overrides }, () => {
+      const lastError = chrome.runtime.lastError;
+      if (lastError) {
+        reject(new Error(lastError.message));
+        return;
+      }
+
+      resolve();
+    });
+  });
+}
+
+/**
+ * Promise wrapper for chrome.storage.sync.get of the auto-collapse rules.
+ * @returns {Promise<typeof DEFAULT_COLLAPSE_RULES>}
+ */
+function loadCollapseRules() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ [STORAGE_KEYS.collapseRules]: DEFAULT_COLLAPSE_RULES }, (result) => {
+      resolve(normalizeCollapseRules(result[STORAGE_KEYS.collapseRules]));
+    });
+  });
+}
+
+/**
+ * Promise wrapper for chrome.storage.sync.set of the auto-collapse rules.
+ * @param {typeof DEFAULT_COLLAPSE_RULES} rules
+ * @returns {Promise<void>}
+ */
+function saveCollapseRules(rules) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set({ [STORAGE_KEYS.collapseRules]: rules }, () => {
+      const lastError = chrome.runtime.lastError;
+      if (lastError) {
+        reject(new Error(lastError.message));
+        return;
+      }
+
+      resolve();
+    });
+  });
+}
+
+/**
+ * Returns complete rules: limits clamped to 0..RULE_LIMITS, lists trimmed and empty entries dropped,
+ * languages lowercased.
+ * @param {unknown} raw
+ * @returns {typeof DEFAULT_COLLAPSE_RULES}
+ */
+function normalizeCollapseRules(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const toList = (value) =>
+    Array.isArray(value)
+      ? value
+          .filter((item) => typeof item === "string")
+          .map((item) => item.trim())
+          .filter(Boolean)
+      : [];
+  const rules = {};
+
+  for (const [key, max] of Object.entries(RULE_LIMITS)) {
+    rules[key] = Math.min(max, Math.max(0, Math.floor(Number(source[key])) || 0));
+  }
+
+  rules.messagePatterns = toList(source.messagePatterns);
+  rules.alwaysCollapseLanguages = toList(source.alwaysCollapseLanguages).map((item) => item.toLowerCase());
+  rules.neverCollapseLanguages = toList(source.neverCollapseLanguages).map((item) => item.toLowerCase());
+
+  return { ...DEFAULT_COLLAPSE_RULES, ...rules };
+}
+
+/**
+ * Returns the patterns that are not valid regular expressions, with the reason.
+ * @param {string[]} patterns
+ * @returns {string[]}
+ */
+function findInvalidPatterns(patterns) {
+  const invalid = [];
+
+  for (const pattern of patterns) {
+    try {
+      new RegExp(pattern, REGEX_FLAGS);
+    } catch (error) {
+      invalid.push(`${pattern} (${error instanceof Error ? error.message : String(error)})`);
+    }
+  }
+
+  return invalid;
+}
+
+/**
+ * Returns a rules form input.
+ * @param {string} key
+ * @returns {HTMLInputElement|HTMLTextAreaElement}
+ */
+function getRuleInput(key) {
+  return /** @type {HTMLInputElement|HTMLTextAreaElement} */ (document.getElementById(`${ID_PREFIXES.rule}${key}`));
+}
+
+/**
+ * Reads the auto-collapse rules from the form.
+ * @returns {typeof DEFAULT_COLLAPSE_RULES}
+ */
+function readRulesForm() {
+  const splitLanguages = (value) => value.split(/[,\s]+/);
+
+  return normalizeCollapseRules({
+    messageMinChars: getRuleInput("messageMinChars").value,
+    messageMinLines: getRuleInput("messageMinLines").value,
+    messagePatterns: getRuleInput("messagePatterns").value.split("\n"),
+    codeMinLines: getRuleInput("codeMinLines").value,
+    alwaysCollapseLanguages: splitLanguages(getRuleInput("alwaysCollapseLanguages").value),
+    neverCollapseLanguages: splitLanguages(getRuleInput("neverCollapseLanguages").value)
+  });
+}
+
+/**
+ * Writes auto-collapse rules into the form.
+ * @param {typeof DEFAULT_COLLAPSE_RULES} rules
+ */
+function writeRulesForm(rules) {
+  for (const key of Object.keys(RULE_LIMITS)) {
+    getRuleInput(key).value = String(rules[key]);
+  }
+
+  getRuleInput("messagePatterns").value = rules.messagePatterns.join("\n");
+  getRuleInput("alwaysCollapseLanguages").value = rules.alwaysCollapseLanguages.join(", ");
+  getRuleInput("neverCollapseLanguages").value = rules.neverCollapseLanguages.join(", ");
+}
+
+/**
+ * Trims a selector value; non-strings become an empty string.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function cleanSelector(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Keeps only known sites, known fields and non-empty selectors. Empty site entries are dropped.
+ * @param {unknown} raw
+ * @returns {object}
+ */
+function normalizeOverrides(raw) {
+  const result = {};
+
+  if (!raw || typeof raw !== "object") {
+    return result;
+  }
+
+  for (const site of SITES) {
+    const source = raw[site.id];
+    if (!source || typeof source !== "object") {
+      continue;
+    }
+
+    const override = {};
+
+    for (const key of SELECTOR_FIELDS) {
+      if (key === "turns") {
+        const turns = Array.isArray(source.turns) ? source.turns.map(cleanSelector).filter(Boolean) : [];
+        if (turns.length) {
+          override.turns = turns;
+        }
+      } else if (cleanSelector(source[key])) {
+        override[key] = cleanSelector(source[key]);
+      }
+    }
+
+    const targets = {};
+    if (source.minimalUiTargets && typeof source.minimalUiTargets === "object") {
+      for (const target of MINIMAL_UI_TARGETS) {
+        const selector = cleanSelector(source.minimalUiTargets[target.name]);
+        if (selector) {
+          targets[target.name] = selector;
+        }
+      }
+    }
+
+    if (Object.keys(targets).length) {
+      override.minimalUiTargets = targets;
+    }
+
+    if (Object.keys(override).length) {
+      result[site.id] = override;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Returns the selectors of an override that are not valid CSS.
+ * @param {object} override
+ * @returns {string[]}
+ */
+function findInvalidSelectors(override) {
+  const selectors = [
+    ...(override.turns || []),
+    ...SELECTOR_FIELDS.filter((key) => key !== "turns" && override[key]).map((key) => override[key]),
+    ...Object.values(override.minimalUiTargets || {})
+  ];
+
+  return selectors.filter((selector) => {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return false;
+    } catch (_error) {
+      return true;
+    }
+  });
+}
+
+/**
+ * Updates the status text.
+ * @param {string} text
+ * @param {boolean} isError
+ */
+function setStatus(text, isError = false) {
+  const status = document.getElementById("status");
+  if (!status) {
+    return;
+  }
+
+  status.textContent = text;
+  status.style.color = isError ? "#ff6b6b" : "";
+}
+
+/**
+ * Creates the site options and one input per minimal UI target.
+ */
+function renderStaticForm() {
+  const siteSelect = /** @type {HTMLSelectElement} */ (document.getElementById("siteSelect"));
+  const targetsContainer = /** @type {HTMLElement} */ (document.getElementById("minimalUiTargets"));
+
+  for (const site of SITES) {
+    const option = document.createElement("option");
+    option.value = site.id;
+    option.textContent = site.label;
+    siteSelect.appendChild(option);
+  }
+
+  for (const target of MINIMAL_UI_TARGETS) {
+    const field = document.createElement("div");
+    field.className = "field";
+
+    const label = document.createElement("label");
+    label.htmlFor = `${ID_PREFIXES.target}${target.name}`;
+    label.textContent = target.label;
+
+    const input = document.createElement("input");
+    input.id = `${ID_PREFIXES.target}${target.name}`;
+    input.type = "text";
+    input.placeholder = "Site default";
+
+    const result = document.createElement("div");
+    result.className = "result";
+    result.setAttribute("data-result-for", `${ID_PREFIXES.target}${target.name}`);
+
+    field.append(label, input, result);
+    targetsContainer.appendChild(field);
+  }
+}
+
+/**
+ * Reads the override of the selected site from the form. Empty fields are left out.
+ * @returns {object}
+ */
+function readForm() {
+  const source = { minimalUiTargets: {} };
+
+  for (const key of SELECTOR_FIELDS) {
+    const input = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (
+      document.getElementById(`${ID_PREFIXES.selector}${key}`)
+    );
+    source[key] = key === "turns" ? input.value.split("\n") : input.value;
+  }
+
+  for (const target of MINIMAL_UI_TARGETS) {
+    const input = /** @type {HTMLInputElement} */ (document.getElementById(`${ID_PREFIXES.target}${target.name}`));
+    source.minimalUiTargets[target.name] = input.value;
+  }
+
+  return normalizeOverrides({ [OPTIONS_STATE.siteId]: source })[OPTIONS_STATE.siteId] || {};
+}
+
+/**
+ * Writes the override of the selected site into the form and clears old test results.
+ * @param {object} override
+ */
+function writeForm(override) {
+  for (const key of SELECTOR_FIELDS) {
+    const input = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (
+      document.getElementById(`${ID_PREFIXES.selector}${key}`)
+    );
+    input.value = key === "turns" ? (override.turns || []).join("\n") : override[key] || "";
+  }
+
+  for (const target of MINIMAL_UI_TARGETS) {
+    const input = /** @type {HTMLInputElement} */ (document.getElementById(`${ID_PREFIXES.target}${target.name}`));
+    input.value = (override.minimalUiTargets || {})[target.name] || "";
+  }
+
+  for (const result of document.querySelectorAll("[data-result-for]")) {
+    result.textContent = "";
+    result.classList.remove("result-bad");
+  }
+}
+
+/**
+ * Formats the match counts of one field's selectors.
+ * @param {{selector:string, count:number, error?:string}[]} counts
+ * @returns {{text:string, bad:boolean}}
+ */
+function formatCounts(counts) {
+  if (!counts.length || (counts.length === 1 && !counts[0].selector)) {
+    return { text: "No selector for this site.", bad: false };
+  }
+
+  const lines = counts.map((entry) => {
+    const outcome = entry.error || `${entry.count} ${entry.count === 1 ? "match" : "matches"}`;
+    return `${entry.selector} → ${outcome}`;
+  });
+
+  return {
+    text: lines.join("\n"),
+    bad: counts.every((entry) => entry.count === 0)
+  };
+}
+
+/**
+ * Shows the test result under each field.
+ * @param {{fields:Object<string, {selector:string, count:number, error?:string}[]>, minimalUiTargets:Object<string, {selector:string, count:number, error?:string}>}} response
+ */
+function renderTestResults(response) {
+  const entries = [
+    ...Object.entries(response.fields),
+    ...MINIMAL_UI_TARGETS.map((target) => [
+      `${ID_PREFIXES.target}${target.name}`,
+      response.minimalUiTargets[target.name] ? [response.minimalUiTargets[target.name]] : []
+    ])
+  ];
+
+  for (const [resultKey, counts] of entries) {
+    const result = document.querySelector(`[data-result-for="${resultKey}"]`);
+    if (!result) {
+      continue;
+    }
+
+    const { text, bad } = formatCounts(counts);
+    result.textContent = text;
+    result.classList.toggle("result-bad", bad);
+  }
+}
+
+/**
+ * Finds the most recently used tab with a supported chat site.
+ * @returns {Promise<chrome.tabs.Tab|null>}
+ */
+function findChatTab() {
+  return new Promise((resolve) => {
+    chrome.tabs.query({ url: [...CHAT_URL_PATTERNS] }, (tabs) => {
+      const sorted = (tabs || []).slice().sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+      resolve(sorted[0] || null);
+    });
+  });
+}
+
+/**
+ * Sends a message to the content script in one tab.
+ * @param {number} tabId
+ * @param {object} message
+ * @returns {Promise<any>}
+ */
+function sendMessageToTab(tabId, message) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error("Content script is not reachable. Reload the chat tab and try again."));
+        return;
+      }
+
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Loads the saved override of the selected site into the form.
+ */
+function showSelectedSite() {
+  const siteSelect = /** @type {HTMLSelectElement} */ (document.getElementById("siteSelect"));
+  siteSelect.value = OPTIONS_STATE.siteId;
+  writeForm(OPTIONS_STATE.overrides[OPTIONS_STATE.siteId] || {});
+}
+
+/**
+ * Validates and saves the form as the override of the selected site.
+ */
+async function saveNow() {
+  const override = readForm();
+  const invalid = findInvalidSelectors(override);
+
+  if (invalid.length) {
+    throw new Error(`Invalid selectors, nothing saved:\n${invalid.join("\n")}`);
+  }
+
+  const overrides = { ...OPTIONS_STATE.overrides };
+
+  if (Object.keys(override).length) {
+    overrides[OPTIONS_STATE.siteId] = override;
+  } else {
+    delete overrides[OPTIONS_STATE.siteId];
+  }
+
+  await saveOverrides(overrides);
+  OPTIONS_STATE.overrides = overrides;
+  setStatus("Saved. Open chat tabs use the new selectors right away.");
+}
+
+/**
+ * Tests the form's (unsaved) selectors on the most recently used chat tab.
+ */
+async function testNow() {
+  const override = readForm();
+  const invalid = findInvalidSelectors(override);
+
+  if (invalid.length) {
+    throw new Error(`Invalid selectors:\n${invalid.join("\n")}`);
+  }
+
+  const tab = await findChatTab();
+  if (!tab || typeof tab.id !== "number") {
+    throw new Error("No chat tab found. Open a conversation in ChatGPT, Claude or Gemini first.");
+  }
+
+  const response = await sendMessageToTab(tab.id, {
+    type: "TRIMMER_TEST_SELECTORS",
+    siteId: OPTIONS_STATE.siteId,
+    override
+  });
+
+  if (response && response.ok !== true && response.siteId) {
+    const site = SITES.find((candidate) => candidate.id === response.siteId);
+    throw new Error(`The last used chat tab is ${site ? site.label : response.siteId}. Select that site to test it.`);
+  }
+
+  if (!response || response.ok !== true) {
+    throw new Error(response?.error || "Test failed.");
+  }
+
+  renderTestResults(response);
+  setStatus(`Tested on: ${tab.title || tab.url}\nCounts are for the page as it is now (hidden turns count, detached ones do not).`);
+}
+
+/**
+ * Removes the override of the selected site.
+ */
+async function clearNow() {
+  const overrides = { ...OPTIONS_STATE.overrides };
+  delete overrides[OPTIONS_STATE.siteId];
+
+  await saveOverrides(overrides);
+  OPTIONS_STATE.overrides = overrides;
+  showSelectedSite();
+  setStatus("Overrides for this site removed. The built-in selectors are used again.");
+}
+
+/**
+ * Downloads all saved overrides as a JSON file.
+ */
+function exportNow() {
+  const content = JSON.stringify(
+    {
+      version: EXPORT_FILE.version,
+      selectorOverrides: OPTIONS_STATE.overrides
+    },
+    null,
+    2
+  );
+
+  const url = URL.createObjectURL(new Blob([content], { type: "application/json" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = EXPORT_FILE.name;
+  link.click();
+  window.setTimeout(() => URL.revokeObjectURL(url), TIMING.revokeExportUrlMs);
+
+  setStatus(`Exported overrides for ${Object.keys(OPTIONS_STATE.overrides).length} site(s).`);
+}
+
+/**
+ * Replaces all overrides with the content of an exported file.
+ * @param {File} file
+ */
+async function importNow(file) {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(await file.text());
+  } catch (_error) {
+    throw new Error("The file is not valid JSON.");
+  }
+
+  const overrides = normalizeOverrides(parsed && parsed.selectorOverrides ? parsed.selectorOverrides : parsed);
+  const invalid = Object.values(overrides).flatMap((override) => findInvalidSelectors(override));
+
+  if (invalid.length) {
+    throw new Error(`Invalid selectors in the file, nothing imported:\n${invalid.join("\n")}`);
+  }
+
+  await saveOverrides(overrides);
+  OPTIONS_STATE.overrides = overrides;
+  showSelectedSite();
+  setStatus(`Imported overrides for ${Object.keys(overrides).length} site(s).`);
+}
+
+/**
+ * Validates and saves the auto-collapse rules of the form.
+ */
+async function saveRulesNow() {
+  const rules = readRulesForm();
+  const invalid = findInvalidPatterns(rules.messagePatterns);
+
+  if (invalid.length) {
+    throw new Error(`Invalid regular expressions, nothing saved:\n${invalid.join("\n")}`);
+  }
+
+  await saveCollapseRules(rules);
+  writeRulesForm(rules);
+  setStatus("Rules saved. Open chat tabs use them right away for blocks you have not opened or closed yourself.");
+}
+
+/**
+ * Saves the default rules (collapse everything) and shows them in the form.
+ */
+async function resetRulesNow() {
+  const rules = normalizeCollapseRules(DEFAULT_COLLAPSE_RULES);
+
+  await saveCollapseRules(rules);
+  writeRulesForm(rules);
+  setStatus("Rules reset. Every message and code block starts collapsed again.");
+}
+
+/**
+ * Initializes the options page.
+ */
+async function initOptions() {
+  const siteSelect = document.getElementById("siteSelect");
+  const saveBtn = document.getElementById("saveBtn");
+  const testBtn = document.getElementById("testBtn");
+  const clearBtn = document.getElementById("clearBtn");
+  const exportBtn = document.getElementById("exportBtn");
+  const importBtn = document.getElementById("importBtn");
+  const importFile = /** @type {HTMLInputElement|null} */ (document.getElementById("importFile"));
+  const saveRulesBtn = document.getElementById("saveRulesBtn");
+  const resetRulesBtn = document.getElementById("resetRulesBtn");
+
+  if (
+    !siteSelect ||
+    !saveBtn ||
+    !testBtn ||
+    !clearBtn ||
+    !exportBtn ||
+    !importBtn ||
+    !importFile ||
+    !saveRulesBtn ||
+    !resetRulesBtn
+  ) {
+    return;
+  }
+
+  renderStaticForm();
+  OPTIONS_STATE.overrides = await loadOverrides();
+  showSelectedSite();
+  writeRulesForm(await loadCollapseRules());
+
+  siteSelect.addEventListener("change", () => {
+    OPTIONS_STATE.siteId = /** @type {HTMLSelectElement} */ (siteSelect).value;
+    showSelectedSite();
+    setStatus("");
+  });
+
+  saveBtn.addEventListener("click", async () => {
+    try {
+      setStatus("Saving...");
+      await saveNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
+  testBtn.addEventListener("click", async () => {
+    try {
+      setStatus("Testing...");
+      await testNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
+  clearBtn.addEventListener("click", async () => {
+    try {
+      await clearNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
+  exportBtn.addEventListener("click", () => {
+    try {
+      exportNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
+  importBtn.addEventListener("click", () => importFile.click());
+
+  saveRulesBtn.addEventListener("click", async () => {
+    try {
+      setStatus("Saving rules...");
+      await saveRulesNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
+  resetRulesBtn.addEventListener("click", async () => {
+    try {
+      await resetRulesNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
+  importFile.addEventListener("change", async () => {
+    const file = importFile.files && importFile.files[0];
+    importFile.value = "";
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      setStatus("Importing...");
+      await importNow(file);
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  initOptions().catch((error) => {
+    setStatus(String(error), true);
+  });
+});
\ No newline at end of file
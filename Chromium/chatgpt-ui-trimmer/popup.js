@@ -4,29 +4,49 @@ Purpose:
 - Controls the popup UI for the ChatGPT UI Trimmer extension.
 - Loads and saves user settings from chrome.storage.sync.
 - Sends commands to the content script in the active tab.
-- Exposes checkboxes for collapsible user messages and collapsible code blocks.
+- Exposes checkboxes for collapsible user messages, collapsible code blocks, the code toolbar and clamped long answers.
+- Exposes one checkbox per collapsible content type (images, tool output, reasoning, attachments, citations).
 
 Inputs:
 - Popup form values:
   - keepLastN
-  - minimalUi
+  - keepFirstN
+  - autoKeepLastN, autoElementBudget, autoMinKeepLastN (choose the visible turn count from a page element budget)
+  - hidden page parts (one checkbox per UI_PARTS name, presets) and custom CSS selectors to hide
   - collapseOwnMessages
   - collapseCodeBlocks
+  - showCodeToolbar
+  - collapseAssistantMessages
+  - assistantCollapseHeight
+  - collapsed content types (one checkbox per CONTENT_TYPES name)
+  - detachHiddenTurns
+  - showOutline
+  - collapseCodeWhileStreaming
+  - keyboardNavigation
 
 Outputs:
 - Messages to content.js
+- TRIMMER_SAVE_CONVERSATION_OVERRIDE messages to background.js, which writes the per-chat overrides
 - Status text in popup
 
 Dependencies:
 - popup.html
 - content.js
-- chrome.storage.sync
+- chrome.storage.sync (global settings)
+- chrome.storage.local (per-chat overrides, written by background.js)
 - chrome.tabs messaging
 
 Processes:
 - Read current settings
 - Apply settings to active ChatGPT tab
-- Show all hidden turns
+- Save or revert per-chat overrides
+- Unpin all pinned turns of the current chat
+- Export the current chat as Markdown, JSON or HTML
+- Copy all code blocks of the current chat, or download them as a zip file
+- Open the options page (selector overrides, auto-collapse rules)
+- Show the turn count chosen in auto mode and why
+- Query the tab status on open and warn when the selectors appear broken (copyable diagnostic report)
+- Show all hidden turns (suspends trimming in the tab) and resume trimming
 - Reset defaults
 
 AI-Instructions:
@@ -38,46 +58,390 @@ AI-Instructions:
 
 "use strict";
 
+/**
+ * Named page parts that can be hidden. The checkbox of a part has the ID ID_PREFIXES.uiPart + name.
+ * Must match UI_PARTS in content.js.
+ */
+const UI_PARTS = Object.freeze([
+  "sidebar",
+  "shareButton",
+  "conversationOptions",
+  "skipLink",
+  "modelPicker",
+  "disclaimer",
+  "upsellBanners"
+]);
+
+/**
+ * Presets for the page part checkboxes. classic is what the former "Simplify UI" checkbox hid.
+ * Must match CLASSIC_UI_PARTS in content.js.
+ */
+const UI_PART_PRESETS = Object.freeze({
+  classic: Object.freeze(["sidebar", "shareButton", "conversationOptions", "skipLink"]),
+  all: UI_PARTS,
+  none: Object.freeze([])
+});
+
+/**
+ * Content types that can be collapsed one by one. The checkbox of a type has the ID ID_PREFIXES.contentType + name.
+ * Must match CONTENT_TYPES in content.js.
+ */
+const CONTENT_TYPES = Object.freeze(["images", "toolOutput", "reasoning", "attachments", "citations"]);
+
+const ID_PREFIXES = Object.freeze({
+  uiPart: "hidePart-",
+  contentType: "collapseType-"
+});
+
 const DEFAULT_SETTINGS = Object.freeze({
   keepLastN: 6,
-  minimalUi: true,
+  keepFirstN: 0,
+  autoKeepLastN: false,
+  autoElementBudget: 20000,
+  autoMinKeepLastN: 2,
+  // null until the parts are chosen once; normalizeSettings then derives them from LEGACY_SETTINGS.minimalUi.
+  hiddenUiParts: null,
+  customHiddenSelectors: Object.freeze([]),
   collapseOwnMessages: true,
-  collapseCodeBlocks: true
+  collapseCodeBlocks: true,
+  showCodeToolbar: true,
+  collapseAssistantMessages: false,
+  assistantCollapseHeight: 600,
+  collapsedContentTypes: Object.freeze([]),
+  detachHiddenTurns: false,
+  showOutline: true,
+  collapseCodeWhileStreaming: false,
+  keyboardNavigation: false
+});
+
+/**
+ * @typedef {Object} TrimmerSettings
+ * @property {number} keepLastN
+ * @property {number} keepFirstN
+ * @property {boolean} autoKeepLastN
+ * @property {number} autoElementBudget
+ * @property {number} autoMinKeepLastN
+ * @property {string[]} hiddenUiParts
+ * @property {string[]} customHiddenSelectors
+ * @property {boolean} collapseOwnMessages
+ * @property {boolean} collapseCodeBlocks
+ * @property {boolean} showCodeToolbar
+ * @property {boolean} collapseAssistantMessages
+ * @property {number} assistantCollapseHeight
+ * @property {string[]} collapsedContentTypes
+ * @property {boolean} detachHiddenTurns
+ * @property {boolean} showOutline
+ * @property {boolean} collapseCodeWhileStreaming
+ * @property {boolean} keyboardNavigation
+ */
+
+/**
+ * Settings of earlier versions that are still read to migrate them. Must match LEGACY_SETTINGS in content.js.
+ */
+const LEGACY_SETTINGS = Object.freeze({
+  minimalUi: true
 });
 
 const LIMITS = Object.freeze({
   minKeepLastN: 1,
-  maxKeepLastN: 500
+  maxKeepLastN: 500,
+  minKeepFirstN: 0,
+  maxKeepFirstN: 500,
+  minAutoElementBudget: 1000,
+  maxAutoElementBudget: 1000000,
+  minAssistantCollapseHeight: 200,
+  maxAssistantCollapseHeight: 5000
+});
+
+/**
+ * Settings that can be overridden for a single conversation.
+ * Must match OVERRIDABLE_SETTING_KEYS in content.js.
+ */
+const OVERRIDABLE_SETTING_KEYS = Object.freeze([
+  "keepLastN",
+  "keepFirstN",
+  "autoKeepLastN",
+  "collapseOwnMessages",
+  "collapseCodeBlocks",
+  "collapseAssistantMessages",
+  "collapsedContentTypes"
+]);
+
+/**
+ * chrome.storage.local key of the overrides of all conversations. Must match STORAGE_KEYS in content.js.
+ */
+const STORAGE_KEYS = Object.freeze({
+  conversationOverrides: "conversationOverrides"
+});
+
+/**
+ * Conversation ID patterns per site.
+ * Must match the hosts and conversationIdPattern of SITE_ADAPTERS in content.js.
+ */
+const SITE_CONVERSATION_PATTERNS = Object.freeze([
+  { hosts: ["chatgpt.com", "chat.openai.com"], pattern: /\/c\/([A-Za-z0-9-]+)/ },
+  { hosts: ["claude.ai"], pattern: /\/chat\/([A-Za-z0-9-]+)/ },
+  { hosts: ["gemini.google.com"], pattern: /\/app\/([A-Za-z0-9]+)/ }
+]);
+
+const SCOPES = Object.freeze({
+  global: "global",
+  conversation: "conversation"
+});
+
+/**
+ * Conversation open in the active tab and the scope its settings currently come from.
+ */
+const POPUP_STATE = {
+  conversationId: null,
+  scope: SCOPES.global,
+  suspended: false,
+  diagnostics: null,
+  applyStats: null,
+  // Turn count and reason of the last auto mode apply in the tab, null while N is fixed.
+  autoKeep: null
+};
+
+/**
+ * Export formats and turn ranges for TRIMMER_EXPORT.
+ * Must match EXPORT_FORMATS and EXPORT_RANGES in content.js.
+ */
+const EXPORT_FORMATS = Object.freeze({
+  markdown: "markdown",
+  json: "json",
+  html: "html"
 });
 
+const EXPORT_RANGES = Object.freeze({
+  full: "full",
+  visible: "visible",
+  range: "range"
+});
+
+const LABELS = Object.freeze({
+  showAll: "Show all",
+  resume: "Resume",
+  selectorsBroken: "Selectors appear broken on this page. The trimmer cannot find the conversation.",
+  selectorsSuspicious: "Possible selector problems on this page."
+});
+
+/**
+ * Normalizes raw stored values into a complete settings object.
+ * @param {object} raw
+ * @returns {TrimmerSettings}
+ */
+function normalizeSettings(raw) {
+  return {
+    keepLastN: clampKeepLastN(raw.keepLastN),
+    keepFirstN: clampKeepFirstN(raw.keepFirstN),
+    autoKeepLastN: Boolean(raw.autoKeepLastN),
+    autoElementBudget: clampAutoElementBudget(raw.autoElementBudget),
+    autoMinKeepLastN: clampAutoMinKeepLastN(raw.autoMinKeepLastN),
+    hiddenUiParts: normalizeHiddenUiParts(raw.hiddenUiParts, raw.minimalUi),
+    customHiddenSelectors: parseSelectorList(raw.customHiddenSelectors),
+    collapseOwnMessages: Boolean(raw.collapseOwnMessages),
+    collapseCodeBlocks: Boolean(raw.collapseCodeBlocks),
+    showCodeToolbar: Boolean(raw.showCodeToolbar),
+    collapseAssistantMessages: Boolean(raw.collapseAssistantMessages),
+    assistantCollapseHeight: clampAssistantCollapseHeight(raw.assistantCollapseHeight),
+    collapsedContentTypes: Array.isArray(raw.collapsedContentTypes)
+      ? CONTENT_TYPES.filter((name) => raw.collapsedContentTypes.includes(name))
+      : [],
+    detachHiddenTurns: Boolean(raw.detachHiddenTurns),
+    showOutline: Boolean(raw.showOutline),
+    collapseCodeWhileStreaming: Boolean(raw.collapseCodeWhileStreaming),
+    keyboardNavigation: Boolean(raw.keyboardNavigation)
+  };
+}
+
+/**
+ * Keeps known part names only. Without a stored choice, the former minimalUi checkbox decides.
+ * @param {unknown} parts
+ * @param {unknown} legacyMinimalUi
+ * @returns {string[]}
+ */
+function normalizeHiddenUiParts(parts, legacyMinimalUi) {
+  if (!Array.isArray(parts)) {
+    return legacyMinimalUi === false ? [] : [...UI_PART_PRESETS.classic];
+  }
+
+  return UI_PARTS.filter((name) => parts.includes(name));
+}
+
 /**
- * Promise wrapper for chrome.storage.sync.get.
- * @returns {Promise<{keepLastN:number, minimalUi:boolean, collapseOwnMessages:boolean, collapseCodeBlocks:boolean}>}
+ * Turns a selector list (array, or text with one selector per line) into trimmed, unique, non-empty selectors.
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function parseSelectorList(value) {
+  const lines = typeof value === "string" ? value.split("\n") : Array.isArray(value) ? value : [];
+  const cleaned = lines.filter((line) => typeof line === "string").map((line) => line.trim());
+  return [...new Set(cleaned.filter(Boolean))];
+}
+
+/**
+ * Returns the selectors that are not valid CSS, so they are never saved or injected.
+ * Each is also checked as a whole rule (like isValidCssRule in content.js), because a selector such as
+ * "div:not(.a" passes querySelector but leaves a bracket open that would swallow the rules after it.
+ * @param {string[]} selectors
+ * @returns {string[]}
+ */
+function findInvalidSelectors(selectors) {
+  return selectors.filter((selector) => {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      new CSSStyleSheet().insertRule(`${selector} {}`);
+      return false;
+    } catch (_error) {
+      return true;
+    }
+  });
+}
+
+/**
+ * Returns the conversation ID from a chat URL (e.g. ChatGPT /c/<id> or /g/<gizmo>/c/<id>, Claude /chat/<id>).
+ * URLs of unsupported sites return null.
+ * @param {string|undefined} url
+ * @returns {string|null}
  */
-function loadSettings() {
+function getConversationIdFromUrl(url) {
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const { hostname, pathname } = new URL(url);
+    const site = SITE_CONVERSATION_PATTERNS.find((candidate) =>
+      candidate.hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`))
+    );
+    const match = site ? site.pattern.exec(pathname) : null;
+    return match ? match[1] : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Promise wrapper for chrome.storage.local.get of the overrides of all conversations.
+ * @returns {Promise<Object<string, object>>} Overrides keyed by conversation ID.
+ */
+function loadConversationOverrides() {
   return new Promise((resolve) => {
-    chrome.storage.sync.get(DEFAULT_SETTINGS, (result) => {
-      resolve({
-        keepLastN: clampKeepLastN(result.keepLastN),
-        minimalUi: Boolean(result.minimalUi),
-        collapseOwnMessages: Boolean(result.collapseOwnMessages),
-        collapseCodeBlocks: Boolean(result.collapseCodeBlocks)
-      });
+    chrome.storage.local.get({ [STORAGE_KEYS.conversationOverrides]: {} }, (result) => {
+      const overrides = result[STORAGE_KEYS.conversationOverrides];
+      resolve(overrides && typeof overrides === "object" ? overrides : {});
+    });
+  });
+}
+
+/**
+ * Saves (or with null removes) the overrides of one conversation. background.js writes the overrides map,
+ * so the popup and keyboard shortcuts in content.js cannot overwrite each other's changes.
+ * @param {string} conversationId
+ * @param {object|null} override
+ * @returns {Promise<void>}
+ */
+function writeConversationOverride(conversationId, override) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type: "TRIMMER_SAVE_CONVERSATION_OVERRIDE", conversationId, override }, (response) => {
+      const lastError = chrome.runtime.lastError;
+      if (lastError) {
+        reject(new Error(lastError.message));
+        return;
+      }
+
+      if (!response || response.ok !== true) {
+        reject(new Error(response?.error || "Saving the chat settings failed."));
+        return;
+      }
+
+      resolve();
     });
   });
 }
 
 /**
- * Promise wrapper for chrome.storage.sync.set.
+ * Promise wrapper for chrome.storage.sync.get of the global settings and the conversation's overrides.
+ * Resolves the effective settings for a conversation: global settings plus its overrides, if any.
+ * @param {string|null} conversationId
+ * @returns {Promise<{settings:TrimmerSettings, scope:string}>}
+ */
+async function loadSettings(conversationId) {
+  const [result, overrides] = await Promise.all([
+    new Promise((resolve) => {
+      chrome.storage.sync.get({ ...DEFAULT_SETTINGS, ...LEGACY_SETTINGS }, resolve);
+    }),
+    conversationId ? loadConversationOverrides() : Promise.resolve({})
+  ]);
+
+  const merged = { ...result };
+  const override = conversationId ? overrides[conversationId] : null;
+
+  if (!override || typeof override !== "object") {
+    return { settings: normalizeSettings(merged), scope: SCOPES.global };
+  }
+
+  for (const key of OVERRIDABLE_SETTING_KEYS) {
+    if (key in override) {
+      merged[key] = override[key];
+    }
+  }
+
+  return { settings: normalizeSettings(merged), scope: SCOPES.conversation };
+}
+
+/**
+ * Promise wrapper for chrome.storage.sync.set. Rejects when the browser refuses the write (e.g. a sync quota),
+ * so the popup shows the error instead of pretending the settings were saved.
  * @param {object} value
  * @returns {Promise<void>}
  */
 function saveSettings(value) {
-  return new Promise((resolve) => {
-    chrome.storage.sync.set(value, () => resolve());
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set(value, () => {
+      const lastError = chrome.runtime.lastError;
+      if (lastError) {
+        reject(new Error(lastError.message));
+        return;
+      }
+
+      resolve();
+    });
   });
 }
 
+/**
+ * Saves the overridable part of the settings for one conversation.
+ * Settings that are not overridable are still written globally.
+ * @param {string} conversationId
+ * @param {TrimmerSettings} value
+ * @returns {Promise<void>}
+ */
+async function saveConversationOverride(conversationId, value) {
+  const override = {};
+  const globalPart = {};
+
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (OVERRIDABLE_SETTING_KEYS.includes(key)) {
+      override[key] = value[key];
+    } else {
+      globalPart[key] = value[key];
+    }
+  }
+
+  await saveSettings(globalPart);
+  await writeConversationOverride(conversationId, override);
+}
+
+/**
+ * Removes the overrides of one conversation.
+ * @param {string} conversationId
+ * @returns {Promise<void>}
+ */
+function removeConversationOverride(conversationId) {
+  return writeConversationOverride(conversationId, null);
+}
+
 /**
  * Get the active tab in the current window.
  * @returns {Promise<chrome.tabs.Tab | null>}
@@ -108,7 +472,7 @@ async function sendMessageToActiveTab(message) {
 
       if (lastError) {
         reject(
-          new Error("Content script is not reachable. Open a ChatGPT tab and reload the page.")
+          new Error("Content script is not reachable. Open a ChatGPT, Claude or Gemini tab and reload the page.")
         );
         return;
       }
@@ -133,6 +497,66 @@ function clampKeepLastN(value) {
   return Math.min(LIMITS.maxKeepLastN, Math.max(LIMITS.minKeepLastN, parsed));
 }
 
+/**
+ * Clamps the always-visible first turn count to a sane range.
+ * @param {unknown} value
+ * @returns {number}
+ */
+function clampKeepFirstN(value) {
+  const parsed = Number.parseInt(String(value), 10);
+
+  if (!Number.isFinite(parsed)) {
+    return DEFAULT_SETTINGS.keepFirstN;
+  }
+
+  return Math.min(LIMITS.maxKeepFirstN, Math.max(LIMITS.minKeepFirstN, parsed));
+}
+
+/**
+ * Clamps the page element budget of the auto mode to a sane range.
+ * @param {unknown} value
+ * @returns {number}
+ */
+function clampAutoElementBudget(value) {
+  const parsed = Number.parseInt(String(value), 10);
+
+  if (!Number.isFinite(parsed)) {
+    return DEFAULT_SETTINGS.autoElementBudget;
+  }
+
+  return Math.min(LIMITS.maxAutoElementBudget, Math.max(LIMITS.minAutoElementBudget, parsed));
+}
+
+/**
+ * Clamps the minimum visible turn count of the auto mode to the range of keepLastN.
+ * @param {unknown} value
+ * @returns {number}
+ */
+function clampAutoMinKeepLastN(value) {
+  const parsed = Number.parseInt(String(value), 10);
+
+  if (!Number.isFinite(parsed)) {
+    return DEFAULT_SETTINGS.autoMinKeepLastN;
+  }
+
+  return Math.min(LIMITS.maxKeepLastN, Math.max(LIMITS.minKeepLastN, parsed));
+}
+
+/**
+ * Clamps the height (in pixels) above which assistant messages are clamped.
+ * @param {unknown} value
+ * @returns {number}
+ */
+function clampAssistantCollapseHeight(value) {
+  const parsed = Number.parseInt(String(value), 10);
+
+  if (!Number.isFinite(parsed)) {
+    return DEFAULT_SETTINGS.assistantCollapseHeight;
+  }
+
+  return Math.min(LIMITS.maxAssistantCollapseHeight, Math.max(LIMITS.minAssistantCollapseHeight, parsed));
+}
+
 /**
  * Updates popup status text.
  * @param {string} text
@@ -148,67 +572,458 @@ function setStatus(text, isError = false) {
   status.style.color = isError ? "#ff6b6b" : "";
 }
 
+/**
+ * Returns the names of the checked page part checkboxes.
+ * @returns {string[]}
+ */
+function readHiddenUiParts() {
+  return UI_PARTS.filter((name) => {
+    const input = /** @type {HTMLInputElement|null} */ (document.getElementById(`${ID_PREFIXES.uiPart}${name}`));
+    return Boolean(input && input.checked);
+  });
+}
+
+/**
+ * Checks the page part checkboxes of the given names and unchecks the others.
+ * @param {readonly string[]} parts
+ */
+function writeHiddenUiParts(parts) {
+  for (const name of UI_PARTS) {
+    const input = /** @type {HTMLInputElement|null} */ (document.getElementById(`${ID_PREFIXES.uiPart}${name}`));
+    if (input) {
+      input.checked = parts.includes(name);
+    }
+  }
+}
+
+/**
+ * Returns the names of the checked content type checkboxes.
+ * @returns {string[]}
+ */
+function readCollapsedContentTypes() {
+  return CONTENT_TYPES.filter((name) => {
+    const input = /** @type {HTMLInputElement|null} */ (document.getElementById(`${ID_PREFIXES.contentType}${name}`));
+    return Boolean(input && input.checked);
+  });
+}
+
+/**
+ * Checks the content type checkboxes of the given names and unchecks the others.
+ * @param {readonly string[]} types
+ */
+function writeCollapsedContentTypes(types) {
+  for (const name of CONTENT_TYPES) {
+    const input = /** @type {HTMLInputElement|null} */ (document.getElementById(`${ID_PREFIXES.contentType}${name}`));
+    if (input) {
+      input.checked = types.includes(name);
+    }
+  }
+}
+
 /**
  * Reads form values from the popup.
- * @returns {{keepLastN:number, minimalUi:boolean, collapseOwnMessages:boolean, collapseCodeBlocks:boolean}}
+ * Throws when a custom selector to hide is not valid CSS.
+ * @returns {TrimmerSettings}
  */
 function readForm() {
   const keepLastNInput = /** @type {HTMLInputElement} */ (document.getElementById("keepLastN"));
-  const minimalUiInput = /** @type {HTMLInputElement} */ (document.getElementById("minimalUi"));
+  const keepFirstNInput = /** @type {HTMLInputElement} */ (document.getElementById("keepFirstN"));
+  const autoKeepLastNInput = /** @type {HTMLInputElement} */ (document.getElementById("autoKeepLastN"));
+  const autoElementBudgetInput = /** @type {HTMLInputElement} */ (document.getElementById("autoElementBudget"));
+  const autoMinKeepLastNInput = /** @type {HTMLInputElement} */ (document.getElementById("autoMinKeepLastN"));
+  const customHiddenSelectorsInput = /** @type {HTMLTextAreaElement} */ (
+    document.getElementById("customHiddenSelectors")
+  );
   const collapseOwnMessagesInput = /** @type {HTMLInputElement} */ (document.getElementById("collapseOwnMessages"));
   const collapseCodeBlocksInput = /** @type {HTMLInputElement} */ (document.getElementById("collapseCodeBlocks"));
+  const showCodeToolbarInput = /** @type {HTMLInputElement} */ (document.getElementById("showCodeToolbar"));
+  const collapseAssistantMessagesInput = /** @type {HTMLInputElement} */ (
+    document.getElementById("collapseAssistantMessages")
+  );
+  const assistantCollapseHeightInput = /** @type {HTMLInputElement} */ (
+    document.getElementById("assistantCollapseHeight")
+  );
+  const detachHiddenTurnsInput = /** @type {HTMLInputElement} */ (document.getElementById("detachHiddenTurns"));
+  const showOutlineInput = /** @type {HTMLInputElement} */ (document.getElementById("showOutline"));
+  const collapseCodeWhileStreamingInput = /** @type {HTMLInputElement} */ (
+    document.getElementById("collapseCodeWhileStreaming")
+  );
+  const keyboardNavigationInput = /** @type {HTMLInputElement} */ (document.getElementById("keyboardNavigation"));
+
+  const customHiddenSelectors = parseSelectorList(customHiddenSelectorsInput.value);
+  const invalidSelectors = findInvalidSelectors(customHiddenSelectors);
+
+  if (invalidSelectors.length) {
+    throw new Error(`Not a valid CSS selector: ${invalidSelectors.join(", ")}`);
+  }
 
   return {
     keepLastN: clampKeepLastN(keepLastNInput.value),
-    minimalUi: Boolean(minimalUiInput.checked),
+    keepFirstN: clampKeepFirstN(keepFirstNInput.value),
+    autoKeepLastN: Boolean(autoKeepLastNInput.checked),
+    autoElementBudget: clampAutoElementBudget(autoElementBudgetInput.value),
+    autoMinKeepLastN: clampAutoMinKeepLastN(autoMinKeepLastNInput.value),
+    hiddenUiParts: readHiddenUiParts(),
+    customHiddenSelectors,
     collapseOwnMessages: Boolean(collapseOwnMessagesInput.checked),
-    collapseCodeBlocks: Boolean(collapseCodeBlocksInput.checked)
+    collapseCodeBlocks: Boolean(collapseCodeBlocksInput.checked),
+    showCodeToolbar: Boolean(showCodeToolbarInput.checked),
+    collapseAssistantMessages: Boolean(collapseAssistantMessagesInput.checked),
+    assistantCollapseHeight: clampAssistantCollapseHeight(assistantCollapseHeightInput.value),
+    collapsedContentTypes: readCollapsedContentTypes(),
+    detachHiddenTurns: Boolean(detachHiddenTurnsInput.checked),
+    showOutline: Boolean(showOutlineInput.checked),
+    collapseCodeWhileStreaming: Boolean(collapseCodeWhileStreamingInput.checked),
+    keyboardNavigation: Boolean(keyboardNavigationInput.checked)
   };
 }
 
 /**
  * Writes values into the popup form.
- * @param {{keepLastN:number, minimalUi:boolean, collapseOwnMessages:boolean, collapseCodeBlocks:boolean}} settings
+ * @param {TrimmerSettings} settings
  */
 function writeForm(settings) {
   const keepLastNInput = /** @type {HTMLInputElement} */ (document.getElementById("keepLastN"));
-  const minimalUiInput = /** @type {HTMLInputElement} */ (document.getElementById("minimalUi"));
+  const keepFirstNInput = /** @type {HTMLInputElement} */ (document.getElementById("keepFirstN"));
+  const autoKeepLastNInput = /** @type {HTMLInputElement} */ (document.getElementById("autoKeepLastN"));
+  const autoElementBudgetInput = /** @type {HTMLInputElement} */ (document.getElementById("autoElementBudget"));
+  const autoMinKeepLastNInput = /** @type {HTMLInputElement} */ (document.getElementById("autoMinKeepLastN"));
+  const customHiddenSelectorsInput = /** @type {HTMLTextAreaElement} */ (
+    document.getElementById("customHiddenSelectors")
+  );
   const collapseOwnMessagesInput = /** @type {HTMLInputElement} */ (document.getElementById("collapseOwnMessages"));
   const collapseCodeBlocksInput = /** @type {HTMLInputElement} */ (document.getElementById("collapseCodeBlocks"));
+  const showCodeToolbarInput = /** @type {HTMLInputElement} */ (document.getElementById("showCodeToolbar"));
+  const collapseAssistantMessagesInput = /** @type {HTMLInputElement} */ (
+    document.getElementById("collapseAssistantMessages")
+  );
+  const assistantCollapseHeightInput = /** @type {HTMLInputElement} */ (
+    document.getElementById("assistantCollapseHeight")
+  );
+  const detachHiddenTurnsInput = /** @type {HTMLInputElement} */ (document.getElementById("detachHiddenTurns"));
+  const showOutlineInput = /** @type {HTMLInputElement} */ (document.getElementById("showOutline"));
+  const collapseCodeWhileStreamingInput = /** @type {HTMLInputElement} */ (
+    document.getElementById("collapseCodeWhileStreaming")
+  );
+  const keyboardNavigationInput = /** @type {HTMLInputElement} */ (document.getElementById("keyboardNavigation"));
 
   keepLastNInput.value = String(clampKeepLastN(settings.keepLastN));
-  minimalUiInput.checked = Boolean(settings.minimalUi);
+  keepFirstNInput.value = String(clampKeepFirstN(settings.keepFirstN));
+  autoKeepLastNInput.checked = Boolean(settings.autoKeepLastN);
+  autoElementBudgetInput.value = String(clampAutoElementBudget(settings.autoElementBudget));
+  autoMinKeepLastNInput.value = String(clampAutoMinKeepLastN(settings.autoMinKeepLastN));
+  writeHiddenUiParts(settings.hiddenUiParts);
+  customHiddenSelectorsInput.value = settings.customHiddenSelectors.join("\n");
   collapseOwnMessagesInput.checked = Boolean(settings.collapseOwnMessages);
   collapseCodeBlocksInput.checked = Boolean(settings.collapseCodeBlocks);
+  showCodeToolbarInput.checked = Boolean(settings.showCodeToolbar);
+  collapseAssistantMessagesInput.checked = Boolean(settings.collapseAssistantMessages);
+  assistantCollapseHeightInput.value = String(clampAssistantCollapseHeight(settings.assistantCollapseHeight));
+  writeCollapsedContentTypes(settings.collapsedContentTypes);
+  detachHiddenTurnsInput.checked = Boolean(settings.detachHiddenTurns);
+  showOutlineInput.checked = Boolean(settings.showOutline);
+  collapseCodeWhileStreamingInput.checked = Boolean(settings.collapseCodeWhileStreaming);
+  keyboardNavigationInput.checked = Boolean(settings.keyboardNavigation);
+  renderAutoKeep();
+}
+
+/**
+ * Enables the inputs of the chosen visible turn mode (fixed N or auto) and shows the last auto choice of the tab.
+ */
+function renderAutoKeep() {
+  const keepLastNInput = /** @type {HTMLInputElement} */ (document.getElementById("keepLastN"));
+  const autoKeepLastNInput = /** @type {HTMLInputElement} */ (document.getElementById("autoKeepLastN"));
+  const autoElementBudgetInput = /** @type {HTMLInputElement} */ (document.getElementById("autoElementBudget"));
+  const autoMinKeepLastNInput = /** @type {HTMLInputElement} */ (document.getElementById("autoMinKeepLastN"));
+  const autoKeepInfo = document.getElementById("autoKeepInfo");
+
+  const auto = autoKeepLastNInput.checked;
+  keepLastNInput.disabled = auto;
+  autoElementBudgetInput.disabled = !auto;
+  autoMinKeepLastNInput.disabled = !auto;
+
+  if (autoKeepInfo) {
+    autoKeepInfo.textContent =
+      auto && POPUP_STATE.autoKeep
+        ? `This tab: last ${POPUP_STATE.autoKeep.count} turns, ${POPUP_STATE.autoKeep.reason}.`
+        : "";
+  }
+}
+
+/**
+ * Shows which scope the form values come from and enables the matching scope buttons.
+ */
+function renderScope() {
+  const scopeInfo = document.getElementById("scopeInfo");
+  const saveForChatBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById("saveForChatBtn"));
+  const revertToGlobalBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById("revertToGlobalBtn"));
+
+  if (scopeInfo) {
+    if (!POPUP_STATE.conversationId) {
+      scopeInfo.textContent = "Using global settings (no chat open).";
+    } else if (POPUP_STATE.scope === SCOPES.conversation) {
+      scopeInfo.textContent = "Using settings for this chat only.";
+    } else {
+      scopeInfo.textContent = "Using global settings.";
+    }
+  }
+
+  if (saveForChatBtn) {
+    saveForChatBtn.disabled = !POPUP_STATE.conversationId;
+  }
+
+  if (revertToGlobalBtn) {
+    revertToGlobalBtn.disabled = POPUP_STATE.scope !== SCOPES.conversation;
+  }
+}
+
+/**
+ * Loads the effective settings for the active tab into the form.
+ */
+async function loadFormFromStorage() {
+  const tab = await getActiveTab();
+  POPUP_STATE.conversationId = getConversationIdFromUrl(tab?.url);
+
+  const { settings, scope } = await loadSettings(POPUP_STATE.conversationId);
+  POPUP_STATE.scope = scope;
+
+  writeForm(settings);
+  renderScope();
+}
+
+/**
+ * Formats the DOM element counts reported by the content script: before and after the apply, and the elements
+ * kept off-document by detach mode.
+ * @param {{domNodeCountBefore?:number, domNodeCount?:number, detachedNodeCount?:number}} response
+ * @returns {string}
+ */
+function formatDomNodeCounts(response) {
+  if (typeof response.domNodeCount !== "number") {
+    return "";
+  }
+
+  let text =
+    typeof response.domNodeCountBefore === "number"
+      ? `\nDOM elements: ${response.domNodeCountBefore} before, ${response.domNodeCount} after`
+      : `\nDOM elements: ${response.domNodeCount}`;
+
+  if (response.detachedNodeCount) {
+    text += ` (${response.detachedNodeCount} detached)`;
+  }
+
+  return text;
+}
+
+/**
+ * Formats the status text after the content script trimmed the tab.
+ * In auto mode, the chosen turn count is followed by the reason.
+ * @param {{hiddenCount:number, totalCount:number, keepLastN:number, keepFirstN?:number, autoReason?:string, domNodeCountBefore?:number, domNodeCount?:number, detachedNodeCount?:number}} response
+ * @returns {string}
+ */
+function formatActiveStatus(response) {
+  let visibleTurns = response.keepFirstN
+    ? `first ${response.keepFirstN} + last ${response.keepLastN}`
+    : String(response.keepLastN);
+
+  if (response.autoReason) {
+    visibleTurns += ` (auto: ${response.autoReason})`;
+  }
+
+  return (
+    `Active.\nHidden: ${response.hiddenCount} / ${response.totalCount}\nVisible turns: ${visibleTurns}` +
+    formatDomNodeCounts(response)
+  );
 }
 
 /**
  * Applies current form settings to storage and the active tab.
+ * Settings are saved to the scope the current chat already uses, unless a scope is given.
+ * The popup is the only writer: the content script just reloads the saved settings and applies them.
+ * @param {string} scope
  */
-async function applyNow() {
+async function applyNow(scope = POPUP_STATE.scope) {
   const settings = readForm();
+  const useConversationScope = scope === SCOPES.conversation && Boolean(POPUP_STATE.conversationId);
+
+  if (useConversationScope) {
+    await saveConversationOverride(POPUP_STATE.conversationId, settings);
+  } else {
+    await saveSettings(settings);
+  }
+
+  POPUP_STATE.scope = useConversationScope ? SCOPES.conversation : SCOPES.global;
+  renderScope();
 
-  await saveSettings(settings);
+  // Applying also resumes a suspended tab.
+  POPUP_STATE.suspended = false;
+  renderSuspended();
 
+  // The payload carries the saved values (keepLastN, keepFirstN, ...), so the tab applies exactly what was saved.
   const response = await sendMessageToActiveTab({
     type: "TRIMMER_APPLY",
-    keepLastN: settings.keepLastN,
-    minimalUi: settings.minimalUi,
-    collapseOwnMessages: settings.collapseOwnMessages,
-    collapseCodeBlocks: settings.collapseCodeBlocks
+    scope: POPUP_STATE.scope,
+    ...settings
   });
 
   if (!response || response.ok !== true) {
     throw new Error(response?.error || "Apply failed.");
   }
 
-  setStatus(
-    `Active.\nHidden: ${response.hiddenCount} / ${response.totalCount}\nVisible turns: ${response.keepLastN}`
-  );
+  POPUP_STATE.autoKeep = response.autoReason ? { count: response.keepLastN, reason: response.autoReason } : null;
+  renderAutoKeep();
+  setStatus(formatActiveStatus(response));
+}
+
+/**
+ * Saves the current form values as overrides for the open chat and applies them.
+ */
+async function saveForChatNow() {
+  if (!POPUP_STATE.conversationId) {
+    throw new Error("Open a conversation to save settings for it.");
+  }
+
+  await applyNow(SCOPES.conversation);
+}
+
+/**
+ * Removes the overrides of the open chat, reloads the global values and applies them.
+ */
+async function revertToGlobalNow() {
+  if (POPUP_STATE.conversationId) {
+    await removeConversationOverride(POPUP_STATE.conversationId);
+  }
+
+  await loadFormFromStorage();
+  await applyNow(SCOPES.global);
+}
+
+/**
+ * Switches the "Show all" button between "Show all" and "Resume" for a suspended tab.
+ */
+function renderSuspended() {
+  const showAllBtn = document.getElementById("showAllBtn");
+  if (!showAllBtn) {
+    return;
+  }
+
+  showAllBtn.textContent = POPUP_STATE.suspended ? LABELS.resume : LABELS.showAll;
+}
+
+/**
+ * Formats the apply timing of the content script as report lines.
+ * @param {object|null} applyStats
+ * @returns {string[]}
+ */
+function formatApplyStatsLines(applyStats) {
+  if (!applyStats) {
+    return [];
+  }
+
+  return [
+    `Observed root: ${applyStats.observedRoot || "(none)"}`,
+    `Applies: ${applyStats.fullCount} full, ${applyStats.incrementalCount} incremental (${applyStats.mutationBatches} mutation batches)`,
+    `Apply time: avg ${applyStats.averageMs} ms, max ${applyStats.maxMs} ms, last ${applyStats.lastMs} ms (${applyStats.lastProcessedTurns} turns processed)`
+  ];
+}
+
+/**
+ * Formats the diagnostics of the content script as a plain-text report for bug reports.
+ * @param {object} diagnostics
+ * @returns {string}
+ */
+function formatDiagnosticsReport(diagnostics) {
+  const turnSelectorLines = diagnostics.turnSelectors.map((entry, index) => {
+    const marker = index === diagnostics.turnStrategy ? " (used)" : "";
+    return `  ${index + 1}. ${entry.selector} -> ${entry.error || entry.count}${marker}`;
+  });
+  const targetLines = Object.entries(diagnostics.minimalUiTargets).map(([name, count]) => `  ${name}: ${count}`);
+  const problemLines = diagnostics.problems.length
+    ? diagnostics.problems.map((problem) => `  - ${problem}`)
+    : ["  (none)"];
+
+  return [
+    "ChatGPT UI Trimmer diagnostics",
+    `Extension version: ${diagnostics.version}`,
+    `Browser: ${navigator.userAgent}`,
+    `Page: ${diagnostics.page}`,
+    `Site adapter: ${diagnostics.siteId}${diagnostics.overridesActive ? " (with selector overrides)" : ""}`,
+    "Turn selectors:",
+    ...turnSelectorLines,
+    `Turns: ${diagnostics.turnCount} (user ${diagnostics.userTurnCount}, assistant ${diagnostics.assistantTurnCount})`,
+    `Code blocks: ${diagnostics.codeBlockCount}`,
+    `Thread root: ${diagnostics.threadRootSelector || "(none)"} -> ${diagnostics.threadRootFound ? "found" : "not found"}`,
+    "Minimal UI targets:",
+    ...targetLines,
+    ...formatApplyStatsLines(POPUP_STATE.applyStats),
+    "Problems:",
+    ...problemLines
+  ].join("\n");
+}
+
+/**
+ * Shows the diagnostics box when the content script reported selector problems.
+ */
+function renderDiagnostics() {
+  const box = document.getElementById("diagnostics");
+  const title = document.getElementById("diagnosticsTitle");
+  const report = /** @type {HTMLTextAreaElement|null} */ (document.getElementById("diagnosticsReport"));
+  const diagnostics = POPUP_STATE.diagnostics;
+
+  if (!box || !title || !report) {
+    return;
+  }
+
+  if (!diagnostics || !diagnostics.problems.length) {
+    box.hidden = true;
+    return;
+  }
+
+  title.textContent = diagnostics.broken ? LABELS.selectorsBroken : LABELS.selectorsSuspicious;
+  report.value = formatDiagnosticsReport(diagnostics);
+  box.hidden = false;
+}
+
+/**
+ * Copies the diagnostic report to the clipboard.
+ */
+async function copyReportNow() {
+  if (!POPUP_STATE.diagnostics) {
+    return;
+  }
+
+  await navigator.clipboard.writeText(formatDiagnosticsReport(POPUP_STATE.diagnostics));
+  setStatus("Diagnostic report copied.");
+}
+
+/**
+ * Asks the content script for the status of the active tab: suspended state and selector diagnostics.
+ * Tabs without the content script (not a supported chat site) are treated as not suspended.
+ */
+async function loadTabStatus() {
+  try {
+    const response = await sendMessageToActiveTab({
+      type: "TRIMMER_STATUS"
+    });
+
+    POPUP_STATE.suspended = response?.suspended === true;
+    POPUP_STATE.diagnostics = response?.diagnostics || null;
+    POPUP_STATE.applyStats = response?.applyStats || null;
+    POPUP_STATE.autoKeep = response?.autoKeep || null;
+  } catch (_error) {
+    POPUP_STATE.suspended = false;
+    POPUP_STATE.diagnostics = null;
+    POPUP_STATE.applyStats = null;
+    POPUP_STATE.autoKeep = null;
+  }
+
+  renderSuspended();
+  renderDiagnostics();
+  renderAutoKeep();
 }
 
 /**
  * Shows all hidden turns in the active tab without changing stored settings.
+ * Trimming stays suspended in the tab until it is resumed or another conversation is opened.
  */
 async function showAllNow() {
   const response = await sendMessageToActiveTab({
@@ -219,15 +1034,141 @@ async function showAllNow() {
     throw new Error(response?.error || "Show all failed.");
   }
 
-  setStatus("All messages in the current tab are visible again.");
+  POPUP_STATE.suspended = true;
+  renderSuspended();
+  setStatus(
+    "All messages in the current tab are visible.\nTrimming is paused in this tab until you resume." +
+      formatDomNodeCounts(response)
+  );
 }
 
 /**
- * Resets settings to defaults and applies them.
+ * Ends the suspended state of the active tab and trims it again.
+ */
+async function resumeNow() {
+  const response = await sendMessageToActiveTab({
+    type: "TRIMMER_RESUME"
+  });
+
+  if (!response || response.ok !== true) {
+    throw new Error(response?.error || "Resume failed.");
+  }
+
+  POPUP_STATE.suspended = false;
+  renderSuspended();
+  setStatus(formatActiveStatus(response));
+}
+
+/**
+ * Unpins all pinned turns of the conversation in the active tab.
+ */
+async function unpinAllNow() {
+  const response = await sendMessageToActiveTab({
+    type: "TRIMMER_UNPIN_ALL"
+  });
+
+  if (!response || response.ok !== true) {
+    throw new Error(response?.error || "Unpin all failed.");
+  }
+
+  setStatus("All turns in this chat are unpinned.\n" + formatActiveStatus(response));
+}
+
+/**
+ * Enables the "from" / "to" turn inputs only when a range export is selected.
+ */
+function renderExportRange() {
+  const rangeSelect = /** @type {HTMLSelectElement} */ (document.getElementById("exportRange"));
+  const fromInput = /** @type {HTMLInputElement} */ (document.getElementById("exportFrom"));
+  const toInput = /** @type {HTMLInputElement} */ (document.getElementById("exportTo"));
+
+  const isRange = rangeSelect.value === EXPORT_RANGES.range;
+  fromInput.disabled = !isRange;
+  toInput.disabled = !isRange;
+}
+
+/**
+ * Reads the export options from the popup.
+ * @returns {{format:string, range:string, from:number, to:number}}
+ */
+function readExportForm() {
+  const formatSelect = /** @type {HTMLSelectElement} */ (document.getElementById("exportFormat"));
+  const rangeSelect = /** @type {HTMLSelectElement} */ (document.getElementById("exportRange"));
+  const fromInput = /** @type {HTMLInputElement} */ (document.getElementById("exportFrom"));
+  const toInput = /** @type {HTMLInputElement} */ (document.getElementById("exportTo"));
+
+  return {
+    format: Object.values(EXPORT_FORMATS).includes(formatSelect.value) ? formatSelect.value : EXPORT_FORMATS.markdown,
+    range: Object.values(EXPORT_RANGES).includes(rangeSelect.value) ? rangeSelect.value : EXPORT_RANGES.full,
+    from: Math.max(1, Number.parseInt(fromInput.value, 10) || 1),
+    to: Math.max(1, Number.parseInt(toInput.value, 10) || 1)
+  };
+}
+
+/**
+ * Exports the chat in the active tab; the content script downloads the file.
+ */
+async function exportNow() {
+  const options = readExportForm();
+
+  const response = await sendMessageToActiveTab({
+    type: "TRIMMER_EXPORT",
+    format: options.format,
+    range: options.range,
+    from: options.from,
+    to: options.to
+  });
+
+  if (!response || response.ok !== true) {
+    throw new Error(response?.error || "Export failed.");
+  }
+
+  setStatus(`Exported ${response.turnCount} turns.
+File: ${response.fileName}`);
+}
+
+/**
+ * Copies all code blocks of the chat in the active tab (including hidden turns) to the clipboard.
+ */
+async function copyAllCodeNow() {
+  const response = await sendMessageToActiveTab({
+    type: "TRIMMER_COPY_ALL_CODE"
+  });
+
+  if (!response || response.ok !== true) {
+    throw new Error(response?.error || "Copy failed.");
+  }
+
+  await navigator.clipboard.writeText(response.text);
+  setStatus(`Copied ${response.blockCount} code blocks.`);
+}
+
+/**
+ * Downloads all code blocks of the chat in the active tab as a zip file; the content script builds the file.
+ */
+async function downloadCodeZipNow() {
+  const response = await sendMessageToActiveTab({
+    type: "TRIMMER_DOWNLOAD_CODE_ZIP"
+  });
+
+  if (!response || response.ok !== true) {
+    throw new Error(response?.error || "Download failed.");
+  }
+
+  setStatus(`Downloaded ${response.blockCount} code blocks.
+File: ${response.fileName}`);
+}
+
+/**
+ * Resets the global settings to defaults, drops the open chat's overrides and applies them.
  */
 async function resetDefaults() {
-  writeForm(DEFAULT_SETTINGS);
-  await applyNow();
+  if (POPUP_STATE.conversationId) {
+    await removeConversationOverride(POPUP_STATE.conversationId);
+  }
+
+  writeForm(normalizeSettings(DEFAULT_SETTINGS));
+  await applyNow(SCOPES.global);
 }
 
 /**
@@ -236,16 +1177,43 @@ async function resetDefaults() {
 async function initPopup() {
   const applyBtn = document.getElementById("applyBtn");
   const showAllBtn = document.getElementById("showAllBtn");
+  const saveForChatBtn = document.getElementById("saveForChatBtn");
+  const revertToGlobalBtn = document.getElementById("revertToGlobalBtn");
+  const unpinAllBtn = document.getElementById("unpinAllBtn");
   const resetBtn = document.getElementById("resetBtn");
+  const exportRange = document.getElementById("exportRange");
+  const exportBtn = document.getElementById("exportBtn");
+  const copyAllCodeBtn = document.getElementById("copyAllCodeBtn");
+  const downloadCodeZipBtn = document.getElementById("downloadCodeZipBtn");
+  const optionsBtn = document.getElementById("optionsBtn");
+  const copyReportBtn = document.getElementById("copyReportBtn");
 
-  if (!applyBtn || !showAllBtn || !resetBtn) {
+  if (
+    !applyBtn ||
+    !showAllBtn ||
+    !saveForChatBtn ||
+    !revertToGlobalBtn ||
+    !unpinAllBtn ||
+    !resetBtn ||
+    !exportRange ||
+    !exportBtn ||
+    !copyAllCodeBtn ||
+    !downloadCodeZipBtn ||
+    !optionsBtn ||
+    !copyReportBtn
+  ) {
     return;
   }
 
   try {
-    const settings = await loadSettings();
-    writeForm(settings);
-    setStatus("Ready.");
+    await loadFormFromStorage();
+    await loadTabStatus();
+
+    if (POPUP_STATE.diagnostics?.broken) {
+      setStatus("Selectors appear broken. Copy the report above for a bug report, or fix them in the options.", true);
+    } else {
+      setStatus(POPUP_STATE.suspended ? "Trimming is paused in this tab." : "Ready.");
+    }
   } catch (error) {
     setStatus(String(error), true);
   }
@@ -261,6 +1229,12 @@ async function initPopup() {
 
   showAllBtn.addEventListener("click", async () => {
     try {
+      if (POPUP_STATE.suspended) {
+        setStatus("Resuming...");
+        await resumeNow();
+        return;
+      }
+
       setStatus("Restoring...");
       await showAllNow();
     } catch (error) {
@@ -268,6 +1242,33 @@ async function initPopup() {
     }
   });
 
+  saveForChatBtn.addEventListener("click", async () => {
+    try {
+      setStatus("Saving for this chat...");
+      await saveForChatNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
+  revertToGlobalBtn.addEventListener("click", async () => {
+    try {
+      setStatus("Reverting to global settings...");
+      await revertToGlobalNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
+  unpinAllBtn.addEventListener("click", async () => {
+    try {
+      setStatus("Unpinning...");
+      await unpinAllNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
   resetBtn.addEventListener("click", async () => {
     try {
       setStatus("Resetting...");
@@ -276,6 +1277,62 @@ async function initPopup() {
       setStatus(String(error), true);
     }
   });
+
+  exportRange.addEventListener("change", () => renderExportRange());
+
+  const autoKeepLastNInput = document.getElementById("autoKeepLastN");
+  if (autoKeepLastNInput) {
+    autoKeepLastNInput.addEventListener("change", () => renderAutoKeep());
+  }
+
+  for (const presetBtn of document.querySelectorAll("[data-ui-preset]")) {
+    presetBtn.addEventListener("click", () => {
+      const preset = UI_PART_PRESETS[presetBtn.getAttribute("data-ui-preset") || ""];
+      if (preset) {
+        writeHiddenUiParts(preset);
+        setStatus("Preset selected. Click Apply to use it.");
+      }
+    });
+  }
+
+  optionsBtn.addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  copyReportBtn.addEventListener("click", async () => {
+    try {
+      await copyReportNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
+  exportBtn.addEventListener("click", async () => {
+    try {
+      setStatus("Exporting...");
+      await exportNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
+  copyAllCodeBtn.addEventListener("click", async () => {
+    try {
+      setStatus("Copying code blocks...");
+      await copyAllCodeNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
+
+  downloadCodeZipBtn.addEventListener("click", async () => {
+    try {
+      setStatus("Creating zip file...");
+      await downloadCodeZipNow();
+    } catch (error) {
+      setStatus(String(error), true);
+    }
+  });
 }
 
 document.addEventListener("DOMContentLoaded", () => {